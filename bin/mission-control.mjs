@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+
+import { run } from '../src/cli/index.js';
+
+run(process.argv.slice(2)).then(code => process.exit(code));
@@ -0,0 +1,280 @@
+import { MemoryStore } from './stores/MemoryStore.js';
+import { QUEUE_DROP_REASON, SOCKET_ERROR } from './constants.js';
+import { MissionControlError, TransportError } from './errors.js';
+
+let nextId = 0;
+
+/**
+ * The outbound action queue.
+ *
+ * Actions that are executed while the client is not ready (disconnected or not yet authenticated)
+ * are put into this queue and replayed in order once the client is ready again.
+ * The queue is persisted in a store, so depending on the store, queued actions even survive a page reload.
+ *
+ * Actions restored from the store don't have a pending promise anymore, they're simply sent.
+ *
+ * @since 1.2.0
+ */
+export class ActionQueue {
+	/**
+	 * @param {object} [options]
+	 * @param {MemoryStore|LocalStorageStore|FileStore} [options.store] - The store to persist the queue in. Defaults to a {@link MemoryStore}.
+	 * @param {string} [options.key='actionQueue'] - The key the queue is saved under in the store.
+	 * @param {number} [options.ttl=60000] - The default time in ms an action may stay in the queue before it is dropped.
+	 * @param {number} [options.maxSize=100] - The maximum amount of queued actions. When full, the oldest action is dropped.
+	 * @param {Nanobus} eventBus - The event bus to emit the 'action:queued' and 'action:dropped' events on.
+	 * @param {object} logger - The logger of the client.
+	 */
+	constructor({ store, key = 'actionQueue', ttl = 60000, maxSize = 100 } = {}, eventBus, logger) {
+		this.store = store || new MemoryStore();
+		this.key = key;
+		this.ttl = ttl;
+		this.maxSize = maxSize;
+
+		this.eventBus = eventBus;
+		this.logger = logger;
+
+		/**
+		 * The queued actions, oldest first.
+		 * @type {Array<QueuedAction>}
+		 */
+		this._entries = [];
+
+		/**
+		 * The promise callbacks and abort signals for actions queued in this session.
+		 * @type {Map<string, { resolve: function, reject: function, signal: AbortSignal|undefined }>}
+		 */
+		this._pending = new Map();
+
+		this._flushing = false;
+
+		/** @type {QueuedAction|null} */
+		this._flushingEntry = null;
+
+		this._loaded = this._load();
+	}
+
+	/**
+	 * The amount of actions currently in the queue.
+	 * @type {number}
+	 */
+	get size() {
+		return this._entries.length;
+	}
+
+	async _load() {
+		try {
+			const entries = await this.store.getItem(this.key);
+
+			if (Array.isArray(entries) && entries.length > 0) {
+				this.logger.debug('restored queued actions:', entries.length);
+
+				// Actions that were queued before the store finished loading come after the restored ones.
+				this._entries = entries.concat(this._entries);
+			}
+		} catch (e) {
+			this.logger.warn('could not load action queue from store', e);
+		}
+	}
+
+	async _persist() {
+		try {
+			await this.store.setItem(this.key, this._entries);
+		} catch (e) {
+			this.logger.warn('could not persist action queue to store', e);
+		}
+	}
+
+	/**
+	 * Add an action to the queue.
+	 *
+	 * @param {object} action
+	 * @param {string} action.service - The service the action belongs to.
+	 * @param {string} action.action - The action name.
+	 * @param {object} action.data - The action data.
+	 * @param {object} [options]
+	 * @param {number} [options.ttl] - The time in ms this action may stay in the queue. Defaults to the queue TTL.
+	 * @param {number} [options.timeout] - The time in ms to wait for the server response once the action is replayed.
+	 * @param {AbortSignal} [options.signal] - Removes the action from the queue when aborted.
+	 * @return {Promise<object>} Resolves with the server response once the action was replayed.
+	 */
+	push({ service, action, data }, { ttl = this.ttl, timeout, signal } = {}) {
+		if (signal && signal.aborted) {
+			return Promise.reject(new MissionControlError(`Action ${service}/${action} was aborted.`, {
+				type: SOCKET_ERROR.ACTION_ABORTED,
+				service,
+				action
+			}));
+		}
+
+		const queuedAt = Date.now();
+
+		/**
+		 * @typedef QueuedAction
+		 * @property {string} id
+		 * @property {string} service
+		 * @property {string} action
+		 * @property {object} data
+		 * @property {number} queuedAt
+		 * @property {number|null} expiresAt
+		 * @property {number} [timeout]
+		 */
+		const entry = {
+			id: `${queuedAt.toString(36)}-${(nextId++).toString(36)}`,
+			service,
+			action,
+			data,
+			queuedAt,
+			expiresAt: ttl > 0 ? queuedAt + ttl : null,
+			timeout
+		};
+
+		const promise = new Promise((resolve, reject) => {
+			this._pending.set(entry.id, { resolve, reject, signal });
+		});
+
+		if (signal) {
+			signal.addEventListener('abort', () => {
+				// Once the action is being replayed, the emit itself takes care of the abort.
+				if (this._flushingEntry === entry || !this._entries.includes(entry)) return;
+
+				this.logger.debug('queued action aborted:', service, action);
+
+				this._remove(entry);
+				this._persist();
+				this._settle(entry, 'reject', new MissionControlError(`Action ${service}/${action} was aborted.`, {
+					type: SOCKET_ERROR.ACTION_ABORTED,
+					service,
+					action
+				}));
+			}, { once: true });
+		}
+
+		this._entries.push(entry);
+
+		while (this._entries.length > this.maxSize) {
+			this._drop(this._entries[0], QUEUE_DROP_REASON.OVERFLOW);
+		}
+
+		this._persist();
+
+		this.logger.debug('action queued:', service, action);
+		this.eventBus.emit('action:queued', entry);
+
+		return promise;
+	}
+
+	/**
+	 * Remove an entry from the queue and reject its promise.
+	 * @param {QueuedAction} entry
+	 * @param {QUEUE_DROP_REASON} reason
+	 */
+	_drop(entry, reason) {
+		this._remove(entry);
+
+		this.logger.warn('queued action dropped:', entry.service, entry.action, reason);
+		this.eventBus.emit('action:dropped', entry, reason);
+
+		this._settle(entry, 'reject', new MissionControlError(`Queued action ${entry.service}/${entry.action} was dropped (${reason}).`, {
+			type: SOCKET_ERROR.ACTION_DROPPED,
+			code: reason,
+			service: entry.service,
+			action: entry.action,
+			payload: entry
+		}));
+	}
+
+	_remove(entry) {
+		const index = this._entries.indexOf(entry);
+
+		if (index !== -1) {
+			this._entries.splice(index, 1);
+		}
+	}
+
+	_settle(entry, type, value) {
+		const pending = this._pending.get(entry.id);
+
+		if (pending) {
+			this._pending.delete(entry.id);
+			pending[type](value);
+		}
+	}
+
+	/**
+	 * Reject the promises of all actions queued in this session.
+	 *
+	 * The actions themselves stay in the queue (and its store), so they can still be replayed by a future client.
+	 *
+	 * @param {Error} error - The error to reject with.
+	 */
+	rejectPending(error) {
+		for (const { reject } of this._pending.values()) {
+			reject(error);
+		}
+
+		this._pending.clear();
+	}
+
+	/**
+	 * Replay all queued actions in order.
+	 *
+	 * Expired actions are dropped. Replaying stops as soon as `isReady` returns false or an action couldn't be sent
+	 * because we lost the connection again. That action and the remaining ones stay queued for the next flush.
+	 * Every other failure (e.g. a rejection by the server or a timeout) removes the action and rejects its promise,
+	 * as the server might already have executed it.
+	 *
+	 * @param {function(entry: QueuedAction, options: { timeout: number, signal: AbortSignal }): Promise<object>} send - Sends the action to the server.
+	 * @param {function(): boolean} isReady - Whether we can currently send actions.
+	 */
+	async flush(send, isReady) {
+		await this._loaded;
+
+		// Only one flush at a time, otherwise actions could be sent twice.
+		if (this._flushing) return;
+		this._flushing = true;
+
+		try {
+			while (this._entries.length > 0 && isReady()) {
+				const entry = this._entries[0];
+
+				if (entry.expiresAt !== null && entry.expiresAt < Date.now()) {
+					this._drop(entry, QUEUE_DROP_REASON.EXPIRED);
+					continue;
+				}
+
+				this.logger.debug('replaying queued action:', entry.service, entry.action);
+
+				const { signal } = this._pending.get(entry.id) || {};
+				this._flushingEntry = entry;
+
+				try {
+					const response = await send(entry, { timeout: entry.timeout, signal });
+
+					this._remove(entry);
+					this._settle(entry, 'resolve', response);
+				} catch (e) {
+					// Without a connection the action stays queued and is replayed with the next flush.
+					if (e instanceof TransportError) {
+						this.logger.debug('replaying queued action failed, keeping it:', entry.service, entry.action, e);
+						break;
+					}
+
+					// Restored actions have nobody waiting for them, so we at least log the failure.
+					if (!this._pending.has(entry.id)) {
+						this.logger.warn('queued action failed:', entry.service, entry.action, e);
+					}
+
+					this._remove(entry);
+					this._settle(entry, 'reject', e);
+				} finally {
+					this._flushingEntry = null;
+				}
+
+				await this._persist();
+			}
+		} finally {
+			this._flushing = false;
+		}
+	}
+}
@@ -0,0 +1,399 @@
+import nanobus from 'nanobus';
+import autoBind from 'auto-bind';
+import { SOCKET_ERROR, CONNECTION_STATUS } from './constants.js';
+import { MissionControlError, TimeoutError } from './errors.js';
+import { MissionControlClient } from './index.js';
+
+/**
+ * The separator between the server name and the service name, as in 'garage/door'.
+ * @type {string}
+ */
+const SEPARATOR = '/';
+
+/**
+ * Manages clients for several Mission Control servers and routes services and actions to them by name.
+ *
+ * Every server has a name, and services are addressed as `<server>/<service>`, e.g. 'garage/door'.
+ * A server can be a single backend or a list of redundant backends for the same services, in order of preference.
+ * The cluster uses the first one that is ready and fails over to the next one if it loses the connection,
+ * moving all service subscriptions along. Once a preferred backend is ready again, the cluster switches back to it.
+ *
+ * The status changes and errors of all clients end up in one event stream, with the name of the server first:
+ *
+ * - `status` (server, status, previous, reason): The status of a server changed. That's the status of the backend in use.
+ * - `error` (server, errorType, error): One of the clients encountered an error.
+ * - `failover` (server, client, previousClient): The cluster switched to another backend of a server.
+ *
+ * @since 1.2.0
+ * @example
+ * const cluster = new MissionControlCluster({
+ * 	house: { url: 'http://house.local', token: '<HOUSE-KEY>' },
+ * 	garage: [
+ * 		{ url: 'http://garage.local', token: '<GARAGE-KEY>' },
+ * 		{ url: 'http://garage-backup.local', token: '<GARAGE-KEY>' }
+ * 	]
+ * });
+ *
+ * cluster.service('garage/door', state => {});
+ * await cluster.action('garage/door', 'OPEN');
+ *
+ * cluster.on('status', (server, status) => console.log(server, status));
+ */
+export class MissionControlCluster {
+	/**
+	 * @param {Record<string, MissionControlClient|object|Array<MissionControlClient|object>>} servers - The servers by name.
+	 * A server is a client, the options to create one (`url`, `token` and any client option) or a list of those
+	 * for redundant backends, the preferred one first.
+	 * @param {object} [options] - Client options shared by all clients the cluster creates, see {@link MissionControlClient}.
+	 * @param {string} [options.defaultServer] - The server for service names without a server, e.g. 'lights'.
+	 * @throws {Error} If no servers are passed or a server config is invalid.
+	 */
+	constructor(servers, { defaultServer, ...clientOptions } = {}) {
+		if (!servers || Object.keys(servers).length === 0) {
+			throw new Error('You need to pass at least one server.');
+		}
+
+		if (defaultServer !== undefined && !(defaultServer in servers)) {
+			throw new Error(`The default server '${defaultServer}' is not one of the servers.`);
+		}
+
+		this.defaultServer = defaultServer;
+
+		/**
+		 * The event bus for the events of the cluster.
+		 * @type {Nanobus}
+		 */
+		this.eventBus = nanobus();
+
+		/**
+		 * The servers by name, with their backends in order of preference and the one currently in use.
+		 * @type {Record<string, { members: Array<MissionControlClient>, active: MissionControlClient, status: CONNECTION_STATUS, subscriptions: Set<object> }>}
+		 */
+		this._servers = {};
+
+		this._stops = [];
+
+		for (const [name, config] of Object.entries(servers)) {
+			if (name.includes(SEPARATOR)) {
+				throw new Error(`Server names can't contain '${SEPARATOR}', got '${name}'.`);
+			}
+
+			const configs = Array.isArray(config) ? config : [config];
+
+			if (configs.length === 0) {
+				throw new Error(`The server '${name}' needs at least one backend.`);
+			}
+
+			const members = configs.map(member => this._createClient(name, member, clientOptions));
+
+			this._servers[name] = {
+				members,
+				active: members[0],
+				status: members[0].status,
+				subscriptions: new Set()
+			};
+
+			for (const client of members) {
+				this._stops.push(
+					client.on('status', (status, previous, reason) => this._update(name, reason)),
+					client.on('error', (type, error) => this.eventBus.emit('error', name, type, error))
+				);
+			}
+
+			this._update(name, 'connect');
+		}
+
+		autoBind(this);
+	}
+
+	_createClient(name, config, clientOptions) {
+		if (config instanceof MissionControlClient) return config;
+
+		if (!config || typeof config !== 'object') {
+			throw new Error(`The server '${name}' needs a client or the options to create one.`);
+		}
+
+		const { url, token, ...options } = config;
+
+		return new MissionControlClient(url, token, { ...clientOptions, ...options });
+	}
+
+	/**
+	 * The names of all servers.
+	 * @type {Array<string>}
+	 */
+	get servers() {
+		return Object.keys(this._servers);
+	}
+
+	/**
+	 * The connection status of every server, by name.
+	 * @type {Record<string, CONNECTION_STATUS>}
+	 */
+	get statuses() {
+		const statuses = {};
+
+		for (const name in this._servers) {
+			statuses[name] = this._servers[name].status;
+		}
+
+		return statuses;
+	}
+
+	/**
+	 * Whether all servers are ready.
+	 * @type {boolean}
+	 */
+	get ready() {
+		return Object.values(this._servers).every(server => server.status === CONNECTION_STATUS.READY);
+	}
+
+	/**
+	 * Get the client of a server that is currently in use.
+	 *
+	 * @param {string} server - The server name.
+	 * @return {MissionControlClient}
+	 * @throws {Error} If there is no server with that name.
+	 */
+	client(server) {
+		return this._getServer(server).active;
+	}
+
+	/**
+	 * Wait until all servers are ready.
+	 *
+	 * @param {object} [options]
+	 * @param {number} [options.timeout] - The time in ms to wait. Waits forever if not set.
+	 * @param {AbortSignal} [options.signal] - Signal to stop waiting.
+	 * @return {Promise<void>}
+	 * @throws {TimeoutError} If the servers didn't get ready in time.
+	 * @throws {MissionControlError} If all backends of a server were closed or waiting was aborted.
+	 */
+	whenReady({ timeout, signal } = {}) {
+		return new Promise((resolve, reject) => {
+			let timer = null;
+
+			const cleanup = () => {
+				clearTimeout(timer);
+				this.eventBus.removeListener('status', onStatus);
+
+				if (signal) signal.removeEventListener('abort', onAbort);
+			};
+
+			const onStatus = () => {
+				if (this.ready) {
+					cleanup();
+
+					return resolve();
+				}
+
+				const closed = this.servers.find(name =>
+					this._servers[name].members.every(client => client.status === CONNECTION_STATUS.CLOSED)
+				);
+
+				if (closed) {
+					cleanup();
+					reject(new MissionControlError(`The connection to the server '${closed}' is closed.`, {
+						type: SOCKET_ERROR.GENERAL
+					}));
+				}
+			};
+
+			const onAbort = () => {
+				cleanup();
+				reject(new MissionControlError('Waiting for the cluster to get ready was aborted.', {
+					type: SOCKET_ERROR.ACTION_ABORTED
+				}));
+			};
+
+			if (signal && signal.aborted) return onAbort();
+
+			if (timeout > 0) {
+				timer = setTimeout(() => {
+					cleanup();
+					reject(new TimeoutError(`The cluster didn't get ready within ${timeout}ms.`));
+				}, timeout);
+			}
+
+			if (signal) signal.addEventListener('abort', onAbort);
+			this.eventBus.on('status', onStatus);
+
+			onStatus();
+		});
+	}
+
+	/**
+	 * Listen to an event of the cluster: 'status', 'error' or 'failover'.
+	 *
+	 * @param {string} event
+	 * @param {function(server: string, ...args: any)} listener
+	 * @return {function} Returns a function which you can use to remove the event listener.
+	 * @example
+	 * cluster.on('error', (server, errorType, error) => {});
+	 * cluster.on('failover', (server, client, previousClient) => {});
+	 */
+	on(event, listener) {
+		this.eventBus.on(event, listener);
+
+		return () => this.eventBus.removeListener(event, listener);
+	}
+
+	/**
+	 * Subscribe to a service of one of the servers, see {@link MissionControlClient#service}.
+	 *
+	 * The subscription moves along if the server fails over to another backend.
+	 *
+	 * @param {string} path - The server and service name, like 'garage/door'.
+	 * @param {function(state: object, meta: StateMeta)} listener - Called on every sync.
+	 * @return {{ ready: boolean, state: object|null, stale: boolean, action: function, unsubscribe: function }}
+	 * @throws {Error} If the path doesn't name a server.
+	 * @example
+	 * const door = cluster.service('garage/door', state => {});
+	 * await door.action('OPEN');
+	 */
+	service(path, listener) {
+		const { server, service } = this._route(path);
+		const subscription = { service, listener, handle: server.active.service(service, listener) };
+
+		server.subscriptions.add(subscription);
+
+		let subscribed = true;
+
+		return {
+			get ready() {
+				return subscription.handle.ready;
+			},
+			get state() {
+				return subscription.handle.state;
+			},
+			get stale() {
+				return subscription.handle.stale;
+			},
+			action: (actionName, data, options) => this.action(path, actionName, data, options),
+			unsubscribe: () => {
+				if (!subscribed) return;
+				subscribed = false;
+
+				server.subscriptions.delete(subscription);
+				subscription.handle.unsubscribe();
+			}
+		};
+	}
+
+	/**
+	 * Execute an action on one of the servers, see {@link MissionControlClient#action}.
+	 *
+	 * The action goes to the backend in use. If none of them is ready, it's queued by that backend.
+	 *
+	 * @param {string} path - The server and service name, like 'garage/door'.
+	 * @param {string} action - The action name.
+	 * @param {object} [data] - The action data.
+	 * @param {object} [options] - See {@link MissionControlClient#action}.
+	 * @return {Promise<object>} The server response.
+	 * @throws {Error} If the path doesn't name a server.
+	 */
+	action(path, action, data, options) {
+		const { server, service } = this._route(path);
+
+		return server.active.action(service, action, data, options);
+	}
+
+	/**
+	 * Connect all clients, see {@link MissionControlClient#connect}.
+	 */
+	connect() {
+		for (const client of this._clients()) client.connect();
+	}
+
+	/**
+	 * Close the connections of all clients, see {@link MissionControlClient#close}.
+	 * @param {object} [options]
+	 * @return {Promise<void>}
+	 */
+	async close(options) {
+		await Promise.all(this._clients().map(client => client.close(options)));
+	}
+
+	/**
+	 * Destroy all clients and remove all listeners, see {@link MissionControlClient#destroy}.
+	 * The cluster can't be used anymore afterwards.
+	 * @param {object} [options]
+	 * @return {Promise<void>}
+	 */
+	async destroy(options) {
+		for (const stop of this._stops) stop();
+
+		this._stops = [];
+
+		await Promise.all(this._clients().map(client => client.destroy(options)));
+
+		for (const name in this._servers) {
+			this._servers[name].subscriptions.clear();
+		}
+
+		this.eventBus.removeAllListeners();
+	}
+
+	_clients() {
+		return Object.values(this._servers).flatMap(server => server.members);
+	}
+
+	_getServer(name) {
+		const server = this._servers[name];
+
+		if (!server) throw new Error(`Unknown server '${name}'.`);
+
+		return server;
+	}
+
+	/**
+	 * Split a path like 'garage/door' into the server and the service name.
+	 * @param {string} path
+	 * @return {{ server: object, service: string }}
+	 */
+	_route(path) {
+		const index = path.indexOf(SEPARATOR);
+
+		if (index === -1) {
+			if (this.defaultServer === undefined) {
+				throw new Error(`'${path}' doesn't name a server, use '<server>${SEPARATOR}<service>'.`);
+			}
+
+			return { server: this._getServer(this.defaultServer), service: path };
+		}
+
+		return { server: this._getServer(path.slice(0, index)), service: path.slice(index + 1) };
+	}
+
+	/**
+	 * Pick the backend a server should use and emit the status if it changed.
+	 * @param {string} name - The server name.
+	 * @param {string} [reason] - Why the status of one of its clients changed.
+	 */
+	_update(name, reason) {
+		const server = this._servers[name];
+
+		// The preferred backend that is ready, or the current one if none are
+		const next = server.members.find(client => client.ready) || server.active;
+
+		if (next !== server.active) {
+			const previous = server.active;
+			server.active = next;
+			reason = 'failover';
+
+			for (const subscription of server.subscriptions) {
+				subscription.handle.unsubscribe();
+				subscription.handle = next.service(subscription.service, subscription.listener);
+			}
+
+			this.eventBus.emit('failover', name, next, previous);
+		}
+
+		if (next.status !== server.status) {
+			const previous = server.status;
+			server.status = next.status;
+
+			this.eventBus.emit('status', name, server.status, previous, reason);
+		}
+	}
+}
@@ -0,0 +1,170 @@
+let nextId = 0;
+
+/**
+ * Keeps track of optimistic state updates that were applied before the server confirmed them.
+ *
+ * For every service with pending updates we remember the last state the server sent us (the confirmed state).
+ * The state we show is always the confirmed state with all pending updates applied on top, in order.
+ * That way a rollback of one update doesn't throw away the others, and a real sync that arrives while
+ * an action is still in flight doesn't make the UI flicker back.
+ *
+ * As the server doesn't tell us which sync contains which action, we count the syncs: if a sync arrived
+ * between applying an update and the server accepting its action, the update is assumed to be part of it.
+ *
+ * @since 1.2.0
+ */
+export class OptimisticUpdates {
+	constructor() {
+		/**
+		 * @type {Record<string, { confirmed: object, syncs: number, updates: Array<{ id: number, update: function(state: object): object, onError: function(error: Error), syncs: number, done: boolean }> }>}
+		 */
+		this._services = {};
+	}
+
+	/**
+	 * The last state the server sent, without any optimistic updates applied.
+	 * @param {string} service
+	 * @param {object} fallback - Returned if there are no pending updates, as then the current state is the confirmed one.
+	 * @return {object}
+	 */
+	confirmedState(service, fallback) {
+		return this._services[service] ? this._services[service].confirmed : fallback;
+	}
+
+	/**
+	 * Apply a new optimistic update.
+	 *
+	 * Updates are applied again whenever the state below them changes. If one throws then, it is dropped
+	 * and `onError` is called, while the other updates stay applied.
+	 *
+	 * @param {string} service - The service name.
+	 * @param {object} confirmed - The current state, used as the confirmed state if there are no pending updates yet.
+	 * @param {function(state: object): object} update - Computes the predicted state from the current one.
+	 * @param {function(error: Error)} onError - Called if the update throws when it's applied again later.
+	 * @return {{ id: number, state: object }} The update id and the new predicted state.
+	 * @throws {Error} If the update throws. It isn't recorded then.
+	 */
+	apply(service, confirmed, update, onError) {
+		const state = update(this._services[service] ? this._compute(service) : confirmed);
+
+		if (!this._services[service]) {
+			this._services[service] = { confirmed, syncs: 0, updates: [] };
+		}
+
+		const record = this._services[service];
+		const id = nextId++;
+		record.updates.push({ id, update, onError, syncs: record.syncs, done: false });
+
+		return { id, state };
+	}
+
+	/**
+	 * Mark an update as accepted by the server.
+	 *
+	 * Usually it stays applied until the next real sync. If a sync already arrived while the action
+	 * was in flight, that sync most likely contains the action, so the update is removed right away.
+	 *
+	 * @param {string} service
+	 * @param {number} id
+	 * @return {object|undefined} The new state if it changed, undefined otherwise.
+	 */
+	resolve(service, id) {
+		const entry = this._find(service, id);
+
+		if (!entry) return undefined;
+
+		if (this._services[service].syncs === entry.syncs) {
+			entry.done = true;
+
+			return undefined;
+		}
+
+		return this._remove(service, entry);
+	}
+
+	/**
+	 * Remove an update that the server rejected.
+	 * @param {string} service
+	 * @param {number} id
+	 * @return {object|undefined} The state without the update, or undefined if the update was already reconciled.
+	 */
+	rollback(service, id) {
+		const entry = this._find(service, id);
+
+		if (!entry) return undefined;
+
+		return this._remove(service, entry);
+	}
+
+	/**
+	 * Reconcile the pending updates with a real state from the server.
+	 *
+	 * Updates the server already accepted are now part of the real state and get dropped,
+	 * the ones still in flight are applied on top again.
+	 *
+	 * @param {string} service
+	 * @param {object} state - The state the server sent.
+	 * @return {object} The state to show.
+	 */
+	reconcile(service, state) {
+		const record = this._services[service];
+
+		if (!record) return state;
+
+		record.confirmed = state;
+		record.syncs++;
+		record.updates = record.updates.filter(entry => !entry.done);
+
+		const computed = this._compute(service);
+		this._cleanup(service);
+
+		return computed;
+	}
+
+	/**
+	 * Forget all updates for a service, e.g. after unsubscribing from it.
+	 * @param {string} service
+	 */
+	clear(service) {
+		delete this._services[service];
+	}
+
+	_find(service, id) {
+		const record = this._services[service];
+
+		return record && record.updates.find(entry => entry.id === id);
+	}
+
+	_remove(service, entry) {
+		const record = this._services[service];
+		record.updates.splice(record.updates.indexOf(entry), 1);
+
+		const state = this._compute(service);
+		this._cleanup(service);
+
+		return state;
+	}
+
+	_compute(service) {
+		const record = this._services[service];
+		let state = record.confirmed;
+
+		for (const entry of record.updates.slice()) {
+			try {
+				state = entry.update(state);
+			} catch (error) {
+				// An update that doesn't fit the newer state is dropped, otherwise every later sync would fail as well
+				record.updates.splice(record.updates.indexOf(entry), 1);
+				entry.onError(error);
+			}
+		}
+
+		return state;
+	}
+
+	_cleanup(service) {
+		if (this._services[service].updates.length === 0) {
+			delete this._services[service];
+		}
+	}
+}
@@ -0,0 +1,160 @@
+/**
+ * Persists the state of services in a store, so it can be shown right away after a reload
+ * while the client is still connecting.
+ *
+ * Every service is saved under its own key (`<key>:<service>`), so a sync only rewrites the service that changed.
+ * An index of all saved services is kept under `<key>` itself.
+ *
+ * @since 1.2.0
+ */
+export class PersistentStateCache {
+	/**
+	 * @param {object} options
+	 * @param {MemoryStore|LocalStorageStore|IndexedDBStore|FileStore} options.store - The store to persist the state in.
+	 * @param {string} [options.key='stateCache'] - The key prefix the state is saved under in the store.
+	 * @param {number} [options.maxAge=0] - The maximum age in ms of persisted state. Older state is ignored and deleted. 0 means no limit.
+	 * @param {object} logger - The logger of the client.
+	 */
+	constructor({ store, key = 'stateCache', maxAge = 0 } = {}, logger) {
+		if (!store) throw new Error('You need to pass a store to persist the state cache in.');
+
+		this.store = store;
+		this.key = key;
+		this.maxAge = maxAge;
+		this.logger = logger;
+
+		/**
+		 * The services we have saved state for.
+		 * @type {Promise<Array<string>>|null}
+		 */
+		this._index = null;
+
+		/**
+		 * The last pending write per store key. Writes to the same key are chained,
+		 * so they reach the store in the order they were made.
+		 * @type {Record<string, Promise<void>>}
+		 */
+		this._writes = {};
+	}
+
+	/**
+	 * Run a write after all pending writes to the same key.
+	 * @param {string} key - The store key that is written.
+	 * @param {function(): Promise<void>} write
+	 * @return {Promise<void>}
+	 */
+	_queueWrite(key, write) {
+		const next = (this._writes[key] || Promise.resolve()).then(write);
+		const settled = next.catch(() => {});
+
+		this._writes[key] = settled;
+		settled.then(() => {
+			if (this._writes[key] === settled) delete this._writes[key];
+		});
+
+		return next;
+	}
+
+	_writeIndex(index) {
+		return this._queueWrite(this.key, () => this.store.setItem(this.key, index));
+	}
+
+	_isExpired(entry) {
+		return this.maxAge > 0 && Date.now() - entry.updatedAt > this.maxAge;
+	}
+
+	_loadIndex() {
+		if (!this._index) {
+			this._index = this.store.getItem(this.key)
+				.then(index => Array.isArray(index) ? index : [])
+				.catch(e => {
+					this.logger.warn('could not load state cache index from store', e);
+
+					return [];
+				});
+		}
+
+		return this._index;
+	}
+
+	/**
+	 * Load all persisted service states.
+	 *
+	 * Expired state is deleted from the store.
+	 *
+	 * @return {Promise<Record<string, { state: object, updatedAt: number }>>}
+	 */
+	async load() {
+		const index = await this._loadIndex();
+		const entries = {};
+		const expired = [];
+
+		await Promise.all(index.map(async service => {
+			try {
+				const entry = await this.store.getItem(`${this.key}:${service}`);
+
+				if (!entry) return;
+
+				if (this._isExpired(entry)) {
+					this.logger.debug('removing expired cached state for service', service);
+					expired.push(service);
+
+					return;
+				}
+
+				entries[service] = entry;
+			} catch (e) {
+				this.logger.warn('could not load cached state for service', service, e);
+			}
+		}));
+
+		if (expired.length > 0) await this._remove(index, expired);
+
+		return entries;
+	}
+
+	_remove(index, services) {
+		return Promise.all(services.map(service => this._queueWrite(`${this.key}:${service}`, async () => {
+			try {
+				// A sync might have saved fresh state since we loaded it
+				const entry = await this.store.getItem(`${this.key}:${service}`);
+
+				if (entry && !this._isExpired(entry)) return;
+
+				// The index is shared with save(), so it's changed in place
+				const position = index.indexOf(service);
+
+				if (position !== -1) index.splice(position, 1);
+
+				await this._writeIndex(index);
+				await this.store.removeItem(`${this.key}:${service}`);
+			} catch (e) {
+				this.logger.warn('could not remove expired state from store', e);
+			}
+		})));
+	}
+
+	/**
+	 * Save the state of a service.
+	 * @param {string} service
+	 * @param {object} state
+	 * @param {number} updatedAt - When we received the state.
+	 * @return {Promise<void>} Resolves once saved, after all earlier writes of the service.
+	 */
+	save(service, state, updatedAt) {
+		return this._queueWrite(`${this.key}:${service}`, async () => {
+			try {
+				const index = await this._loadIndex();
+
+				if (!index.includes(service)) {
+					index.push(service);
+					await this._writeIndex(index);
+				}
+
+				await this.store.setItem(`${this.key}:${service}`, { state, updatedAt });
+			} catch (e) {
+				this.logger.warn('could not persist state for service', service, e);
+			}
+		});
+	}
+}
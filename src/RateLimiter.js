@@ -0,0 +1,299 @@
+import { SOCKET_ERROR } from './constants.js';
+import { MissionControlError } from './errors.js';
+import { isPattern, compilePattern } from './patterns.js';
+
+const STRATEGIES = ['throttle', 'debounce', 'latest'];
+
+/**
+ * Limits how often actions are sent, so inputs like sliders can be bound to actions directly.
+ *
+ * Policies are configured per action with keys like 'lights:SET_BRIGHTNESS', which may contain `*` wildcards
+ * ('lights:*', '*:SET_*'). An exact key wins over patterns, patterns are tried in order. Every action gets
+ * its own timeline, even if it matched a pattern. The strategies are:
+ *
+ * - `{ throttle: ms }`: Sends right away, then at most once per `ms`. Calls in between are coalesced into one trailing send.
+ * - `{ debounce: ms }`: Sends once there were no calls for `ms`.
+ * - `{ latest: true }`: Sends right away. While it's in flight, calls are coalesced and only the latest one is sent next.
+ *
+ * Coalesced calls are dropped in favour of the latest one: only its data is sent, and all of their promises
+ * settle with its result. A call that is aborted only rejects itself, the others are still sent.
+ * Independent of the policies, `maxInFlight` limits how many actions and batches wait for the server at once.
+ *
+ * @since 1.2.0
+ */
+export class RateLimiter {
+	/**
+	 * @param {object} [options]
+	 * @param {Record<string, { throttle?: number, debounce?: number, latest?: boolean }>} [options.policies={}] - The policies by action key.
+	 * @param {number} [options.maxInFlight=Infinity] - How many actions and batches may wait for the server at once. Others wait in line.
+	 * @param {object} logger - The logger of the client.
+	 * @throws {Error} If a policy is invalid.
+	 */
+	constructor({ policies = {}, maxInFlight = Infinity } = {}, logger) {
+		if (!(maxInFlight === Infinity || (Number.isInteger(maxInFlight) && maxInFlight > 0))) {
+			throw new Error('maxInFlight has to be a positive integer or Infinity.');
+		}
+
+		this.maxInFlight = maxInFlight;
+		this.logger = logger;
+
+		/**
+		 * The policies, exact keys first.
+		 * @type {Array<{ key: string, regex: RegExp|null, strategy: string, wait: number }>}
+		 */
+		this._policies = Object.entries(policies)
+			.map(([key, policy]) => ({ key, regex: isPattern(key) ? compilePattern(key) : null, ...parsePolicy(key, policy) }))
+			.sort((a, b) => (a.regex === null ? 0 : 1) - (b.regex === null ? 0 : 1));
+
+		/**
+		 * The timeline of every action by 'service:action', null if it doesn't have a policy.
+		 * @type {Map<string, { policy: object, pending: object|null, timer: number|null, inFlight: boolean }|null>}
+		 */
+		this._groups = new Map();
+
+		this._inFlight = 0;
+
+		/** @type {Array<function>} */
+		this._waiting = [];
+	}
+
+	/**
+	 * Send an action according to its policy.
+	 *
+	 * @param {string} service
+	 * @param {string} action
+	 * @param {function(signal: AbortSignal|undefined): Promise<object>} send - Sends this call of the action. It only gets
+	 * the signal if the call isn't rate limited, as coalesced calls mustn't be cancelled by one of them.
+	 * @param {AbortSignal} [signal] - Rejects this call when aborted. Other calls it was coalesced with aren't affected.
+	 * @return {Promise<object>} The result of the send this call ended up in.
+	 */
+	schedule(service, action, send, signal) {
+		const key = `${service}:${action}`;
+		const group = this._group(key);
+
+		if (!group) return send(signal);
+
+		if (signal && signal.aborted) return Promise.reject(abortError(service, action));
+
+		return new Promise((resolve, reject) => {
+			const waiter = { send, resolve, reject };
+
+			if (signal) {
+				const onAbort = () => this._abort(group, waiter, abortError(service, action));
+
+				signal.addEventListener('abort', onAbort, { once: true });
+
+				waiter.resolve = result => {
+					signal.removeEventListener('abort', onAbort);
+					resolve(result);
+				};
+				waiter.reject = error => {
+					signal.removeEventListener('abort', onAbort);
+					reject(error);
+				};
+			}
+
+			if (group.pending) {
+				this.logger.debug('coalescing action', key);
+
+				// The latest call wins, the others settle with its result
+				group.pending.waiters.push(waiter);
+			} else {
+				group.pending = { waiters: [waiter] };
+			}
+
+			const { strategy, wait } = group.policy;
+
+			if (strategy === 'debounce') {
+				clearTimeout(group.timer);
+				group.timer = setTimeout(() => {
+					group.timer = null;
+					this._flush(group);
+				}, wait);
+			} else if (strategy === 'throttle') {
+				if (group.timer === null) this._throttle(group);
+			} else if (!group.inFlight) {
+				this._flush(group);
+			}
+		});
+	}
+
+	/**
+	 * Run a send once fewer than `maxInFlight` actions are waiting for the server.
+	 *
+	 * @param {function(): Promise<object>} send
+	 * @param {object} [options]
+	 * @param {AbortSignal} [options.signal] - Stops waiting for a free slot when aborted.
+	 * @param {string} [options.service] - The service of the action, for the abort error. Left out for batches.
+	 * @param {string} [options.action] - The name of the action, for the abort error.
+	 * @return {Promise<object>}
+	 */
+	async limit(send, { signal, service, action } = {}) {
+		if (this._inFlight < this.maxInFlight) {
+			this._inFlight++;
+		} else {
+			// The slot is handed over to us by the send we waited for, see _release()
+			await new Promise((resolve, reject) => {
+				if (signal && signal.aborted) return reject(abortError(service, action));
+
+				const onAbort = () => {
+					this._waiting.splice(this._waiting.indexOf(next), 1);
+					reject(abortError(service, action));
+				};
+
+				const next = () => {
+					if (signal) signal.removeEventListener('abort', onAbort);
+
+					resolve();
+				};
+
+				if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+				this._waiting.push(next);
+			});
+		}
+
+		try {
+			return await send();
+		} finally {
+			this._release();
+		}
+	}
+
+	/**
+	 * Hand the slot of a finished send to the next one waiting in line.
+	 *
+	 * Freeing it instead would let a new call take it before the waiting one gets to run.
+	 */
+	_release() {
+		const next = this._waiting.shift();
+
+		if (next) {
+			next();
+		} else {
+			this._inFlight--;
+		}
+	}
+
+	/**
+	 * Reject all coalesced calls that haven't been sent yet and stop the timers.
+	 * @param {MissionControlError} error
+	 */
+	clear(error = new MissionControlError('The action was dropped.', { type: SOCKET_ERROR.ACTION_DROPPED })) {
+		for (const group of this._groups.values()) {
+			if (!group) continue;
+
+			clearTimeout(group.timer);
+			group.timer = null;
+
+			if (group.pending) {
+				for (const { reject } of group.pending.waiters) reject(error);
+
+				group.pending = null;
+			}
+		}
+	}
+
+	_group(key) {
+		if (this._groups.has(key)) return this._groups.get(key);
+
+		const policy = this._policies.find(({ key: other, regex }) => regex ? regex.test(key) : other === key);
+
+		// Remembering actions without a policy saves us from matching them again
+		const group = policy
+			? { policy, pending: null, timer: null, inFlight: false }
+			: null;
+
+		this._groups.set(key, group);
+
+		return group;
+	}
+
+	_abort(group, waiter, error) {
+		const waiters = group.pending && group.pending.waiters;
+
+		// Calls that were already sent only stop waiting, the send goes on for the others
+		if (waiters && waiters.includes(waiter)) {
+			waiters.splice(waiters.indexOf(waiter), 1);
+
+			if (waiters.length === 0) {
+				group.pending = null;
+
+				// A throttle timer keeps running, so the next call still has to wait for it
+				if (group.policy.strategy === 'debounce') {
+					clearTimeout(group.timer);
+					group.timer = null;
+				}
+			}
+		}
+
+		waiter.reject(error);
+	}
+
+	_throttle(group) {
+		this._flush(group);
+
+		group.timer = setTimeout(() => {
+			group.timer = null;
+
+			// Trailing send of everything that came in during the wait, which starts the next wait
+			if (group.pending) this._throttle(group);
+		}, group.policy.wait);
+	}
+
+	_flush(group) {
+		const { waiters } = group.pending;
+		const { send } = waiters[waiters.length - 1];
+
+		group.pending = null;
+		group.inFlight = true;
+
+		// Without a signal, every waiter is only rejected by its own
+		send().then(
+			result => {
+				for (const { resolve } of waiters) resolve(result);
+			},
+			error => {
+				for (const { reject } of waiters) reject(error);
+			}
+		).then(() => {
+			group.inFlight = false;
+
+			if (group.policy.strategy === 'latest' && group.pending) this._flush(group);
+		});
+	}
+}
+
+function abortError(service, action) {
+	const message = service ? `Action ${service}/${action} was aborted.` : 'Sending was aborted.';
+
+	return new MissionControlError(message, {
+		type: SOCKET_ERROR.ACTION_ABORTED,
+		service,
+		action
+	});
+}
+
+/**
+ * @return {{ strategy: string, wait: number }}
+ * @throws {Error} If the policy doesn't have exactly one valid strategy.
+ */
+function parsePolicy(key, policy) {
+	const strategies = STRATEGIES.filter(strategy => policy && policy[strategy] !== undefined && policy[strategy] !== false);
+
+	if (strategies.length !== 1) {
+		throw new Error(`The rate limit policy for '${key}' needs exactly one of ${STRATEGIES.join(', ')}.`);
+	}
+
+	const [strategy] = strategies;
+
+	if (strategy === 'latest') return { strategy, wait: 0 };
+
+	const wait = policy[strategy];
+
+	if (typeof wait !== 'number' || !(wait >= 0)) {
+		throw new Error(`The ${strategy} time for '${key}' has to be a number of ms.`);
+	}
+
+	return { strategy, wait };
+}
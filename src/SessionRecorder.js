@@ -0,0 +1,119 @@
+/**
+ * Serialize errors with their message and details, JSON.stringify would drop the message.
+ */
+function replacer(key, value) {
+	if (value instanceof Error) {
+		return { name: value.name, message: value.message, type: value.type, code: value.code };
+	}
+
+	return value;
+}
+
+/**
+ * Records everything a client sees into an NDJSON log, one entry per line.
+ *
+ * Every entry has a `type` and the time `t` in ms since the recording started:
+ *
+ * - `session`: The first line, with the `version` of the log format and `startedAt`.
+ * - `transport`: The transport connected, disconnected (`args: [reason]`), couldn't connect (`args: [error]`)
+ *   or tried to reconnect (`reconnect_attempt`, `reconnect_failed`).
+ * - `receive`: The server sent an `event` with `args`.
+ * - `emit`: The client sent an `event` with `data` to the server. `id` links it to its `ack`.
+ * - `ack`: The server acknowledged emit `id` with a `response`, or the client gave up waiting (`error`).
+ * - `event`: The client emitted an `event` with `args` on its event bus.
+ *
+ * The `transport`, `receive` and `ack` entries are enough to replay the session with a {@link ReplayTransport},
+ * the others are there to understand what the client made of it.
+ *
+ * @since 1.2.0
+ * @example
+ * import fs from 'fs';
+ *
+ * const recorder = new SessionRecorder(client, fs.createWriteStream('session.ndjson'));
+ * // ...
+ * recorder.stop();
+ */
+export class SessionRecorder {
+	/**
+	 * @param {MissionControlClient} client - The client to record. Best created with `autoConnect: false`, so the connect is recorded too.
+	 * @param {{ write: function(chunk: string) }} output - Where the lines are written to, e.g. a Node.js stream.
+	 */
+	constructor(client, output) {
+		if (!output || typeof output.write !== 'function') {
+			throw new Error('You need to pass an output with a write method to record to.');
+		}
+
+		this.client = client;
+		this.output = output;
+		this.startedAt = Date.now();
+
+		this._nextId = 0;
+		this._stops = [];
+
+		this._write({ type: 'session', version: 1, startedAt: new Date(this.startedAt).toISOString() });
+
+		this._tapTransport();
+		this._tapEmit();
+
+		this._stops.push(
+			client.onServerEvent('*', (event, ...args) => this._write({ type: 'receive', event, args })),
+			client.onAny((event, ...args) => {
+				if (!event.startsWith('internal:')) this._write({ type: 'event', event, args });
+			})
+		);
+	}
+
+	/**
+	 * Stop recording. The output is not closed.
+	 */
+	stop() {
+		for (const stop of this._stops) stop();
+
+		this._stops = [];
+	}
+
+	_write(entry) {
+		const t = Date.now() - this.startedAt;
+
+		this.output.write(JSON.stringify({ t, ...entry }, replacer) + '\n');
+	}
+
+	_tapTransport() {
+		const transport = this.client.transport;
+
+		for (const event of ['connect', 'disconnect', 'connect_error', 'reconnect_attempt', 'reconnect_failed']) {
+			this._stops.push(
+				transport.on(event, (...args) => this._write({ type: 'transport', event, args }))
+			);
+		}
+	}
+
+	_tapEmit() {
+		const client = this.client;
+		const emit = client._emit;
+
+		// Actions, subscriptions and the authentication all go through _emit
+		client._emit = (event, data, options) => {
+			const id = this._nextId++;
+
+			this._write({ type: 'emit', id, event, data });
+
+			return emit(event, data, options).then(
+				response => {
+					this._write({ type: 'ack', id, event, response });
+
+					return response;
+				},
+				error => {
+					this._write({ type: 'ack', id, event, error });
+
+					throw error;
+				}
+			);
+		};
+
+		this._stops.push(() => {
+			client._emit = emit;
+		});
+	}
+}
@@ -0,0 +1,133 @@
+import { untilStopped } from './connect.js';
+import { UsageError } from './exitCodes.js';
+import { DEFAULT_HISTORY_FILE, startRepl } from './repl.js';
+import { generateServiceTypes } from '../typegen.js';
+
+/*
+ * The CLI commands.
+ *
+ * `parse` validates the positional arguments before we connect, `run` does the actual work
+ * with a connected client. Output is written with `print`, one JSON document per line.
+ */
+
+function parseJSON(json, what) {
+	try {
+		return JSON.parse(json);
+	} catch (e) {
+		throw new UsageError(`Invalid ${what}: ${e.message}`);
+	}
+}
+
+function requireService(service, usage) {
+	if (!service) throw new UsageError(`Missing service name. Usage: mission-control ${usage}`);
+
+	return { service };
+}
+
+export const COMMANDS = {
+	action: {
+		usage: 'action <service> <action> [json]',
+		description: 'Execute an action and print the server response.',
+		parse([service, action, json]) {
+			if (!service || !action) {
+				throw new UsageError(`Missing service or action name. Usage: mission-control ${this.usage}`);
+			}
+
+			return { service, action, data: json === undefined ? {} : parseJSON(json, 'action data') };
+		},
+		async run(client, { service, action, data }, { print }) {
+			print(await client.action(service, action, data));
+		}
+	},
+
+	state: {
+		usage: 'state <service>',
+		description: 'Print the current state of a service.',
+		parse([service]) {
+			return requireService(service, this.usage);
+		},
+		async run(client, { service }, { print, timeout }) {
+			print(await client.getState(service, { timeout }));
+		}
+	},
+
+	describe: {
+		usage: 'describe <service>',
+		description: 'Print the actions of a service with the JSON Schemas of their data.',
+		parse([service]) {
+			return requireService(service, this.usage);
+		},
+		async run(client, { service }, { print, timeout }) {
+			print(await client.describe(service, { timeout }));
+		}
+	},
+
+	types: {
+		usage: 'types <service> [service...]',
+		description: 'Print a TypeScript service map for the actions of the services, e.g. > services.ts',
+		parse(services) {
+			if (services.length === 0) throw new UsageError(`Missing service name. Usage: mission-control ${this.usage}`);
+
+			return { services };
+		},
+		async run(client, { services }, { stdout, timeout }) {
+			const catalogues = await Promise.all(services.map(service => client.describe(service, { timeout })));
+
+			// TypeScript, not JSON
+			stdout.write(generateServiceTypes(catalogues));
+		}
+	},
+
+	watch: {
+		usage: 'watch <service>',
+		description: 'Print every state sync of a service as NDJSON until stopped.',
+		parse([service]) {
+			return requireService(service, this.usage);
+		},
+		async run(client, { service }, { print }) {
+			const handle = client.service(service, state => {
+				print({ service, state, receivedAt: new Date().toISOString() });
+			});
+
+			try {
+				await untilStopped(client);
+			} finally {
+				handle.unsubscribe();
+			}
+		}
+	},
+
+	events: {
+		usage: 'events',
+		description: 'Print every event the server sends as NDJSON until stopped.',
+		parse() {
+			return {};
+		},
+		async run(client, params, { print }) {
+			const off = client.onServerEvent('*', (event, ...args) => {
+				print({ event, args, receivedAt: new Date().toISOString() });
+			});
+
+			try {
+				await untilStopped(client);
+			} finally {
+				off();
+			}
+		}
+	},
+
+	repl: {
+		usage: 'repl',
+		description: 'Start an interactive session with a connected `client`.',
+		parse() {
+			return {};
+		},
+		run(client, params, { stdin, stdout, env }) {
+			return startRepl(client, {
+				input: stdin,
+				output: stdout,
+				historyFile: env.MISSION_CONTROL_REPL_HISTORY || DEFAULT_HISTORY_FILE
+			});
+		}
+	}
+};
@@ -0,0 +1,70 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { UsageError } from './exitCodes.js';
+
+/**
+ * The config file that is used if no other one is given.
+ */
+export const DEFAULT_CONFIG_FILE = path.join(os.homedir(), '.mission-control.json');
+
+function readConfigFile(filePath, required) {
+	let contents;
+
+	try {
+		contents = fs.readFileSync(filePath, 'utf8');
+	} catch (e) {
+		if (e.code === 'ENOENT' && !required) return {};
+
+		throw new UsageError(`Could not read config file '${filePath}': ${e.message}`);
+	}
+
+	try {
+		return JSON.parse(contents);
+	} catch (e) {
+		throw new UsageError(`Config file '${filePath}' is not valid JSON: ${e.message}`);
+	}
+}
+
+function firstGiven(...values) {
+	return values.find(value => value !== undefined && value !== null && value !== '');
+}
+
+/**
+ * Resolve the connection config of the CLI.
+ *
+ * Flags take precedence over environment variables (MISSION_CONTROL_URL, MISSION_CONTROL_TOKEN),
+ * which take precedence over the config file. The config file is given with `--config` or MISSION_CONTROL_CONFIG
+ * and defaults to `~/.mission-control.json`, which is optional.
+ *
+ * @param {object} flags - The parsed command line flags.
+ * @param {object} [env=process.env]
+ * @return {{ url: string, token: string, timeout: number }}
+ * @throws {UsageError} If the config file is invalid or the URL or token is missing.
+ */
+export function loadConfig(flags, env = process.env) {
+	const configFile = flags.config || env.MISSION_CONTROL_CONFIG;
+	const file = readConfigFile(configFile || DEFAULT_CONFIG_FILE, !!configFile);
+
+	const config = {
+		url: flags.url || env.MISSION_CONTROL_URL || file.url,
+		token: flags.token || env.MISSION_CONTROL_TOKEN || file.token,
+		// 0 is a valid timeout (wait forever), so only missing values fall through
+		timeout: Number(firstGiven(flags.timeout, env.MISSION_CONTROL_TIMEOUT, file.timeout, 10000))
+	};
+
+	if (!config.url) {
+		throw new UsageError('No URL given. Use --url, MISSION_CONTROL_URL or the config file.');
+	}
+
+	if (!config.token) {
+		throw new UsageError('No token given. Use --token, MISSION_CONTROL_TOKEN or the config file.');
+	}
+
+	if (!Number.isFinite(config.timeout) || config.timeout < 0) {
+		throw new UsageError('The timeout has to be a positive number of milliseconds.');
+	}
+
+	return config;
+}
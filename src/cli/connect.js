@@ -0,0 +1,86 @@
+import { MissionControlClient } from '../index.js';
+import { SOCKET_ERROR } from '../constants.js';
+import { TimeoutError, TransportError } from '../errors.js';
+
+/**
+ * Errors the client doesn't recover from by itself.
+ */
+export const FATAL_ERRORS = [
+	SOCKET_ERROR.AUTH_FAILED,
+	SOCKET_ERROR.AUTH_TIMEOUT,
+	SOCKET_ERROR.NO_ATTEMPTS_LEFT
+];
+
+/**
+ * Create a client and wait until it's connected and authenticated.
+ *
+ * Actions aren't queued, as the CLI wants to know right away if an action couldn't be executed.
+ *
+ * @param {{ url: string, token: string, timeout: number }} config
+ * @param {object} logger
+ * @return {Promise<MissionControlClient>}
+ * @throws {MissionControlError} If the client couldn't connect or authenticate.
+ */
+export async function connect({ url, token, timeout }, logger) {
+	const client = new MissionControlClient(url, token, { logger, timeout, queue: false });
+
+	let lastError = null;
+	let offError;
+
+	const failed = new Promise((resolve, reject) => {
+		offError = client.on('error', (type, error) => {
+			lastError = error;
+
+			if (FATAL_ERRORS.includes(type)) reject(error);
+		});
+	});
+
+	try {
+		await Promise.race([client.whenReady({ timeout }), failed]);
+
+		return client;
+	} catch (e) {
+		await client.destroy();
+
+		if (e instanceof TimeoutError) {
+			throw new TransportError(
+				`Could not connect to ${url} within ${timeout}ms${lastError ? ` (${lastError.message})` : ''}.`,
+				{ type: SOCKET_ERROR.TIMEOUT, cause: lastError || e }
+			);
+		}
+
+		throw e;
+	} finally {
+		offError();
+	}
+}
+
+/**
+ * Wait until the process is asked to stop (SIGINT, SIGTERM) or the client runs into a fatal error.
+ * @param {MissionControlClient} client
+ * @return {Promise} Resolves when stopped, rejects with the fatal error.
+ */
+export function untilStopped(client) {
+	return new Promise((resolve, reject) => {
+		const cleanup = () => {
+			offError();
+			process.off('SIGINT', stop);
+			process.off('SIGTERM', stop);
+		};
+
+		const stop = () => {
+			cleanup();
+			resolve();
+		};
+
+		const offError = client.on('error', (type, error) => {
+			if (!FATAL_ERRORS.includes(type)) return;
+
+			cleanup();
+			reject(error);
+		});
+
+		process.on('SIGINT', stop);
+		process.on('SIGTERM', stop);
+	});
+}
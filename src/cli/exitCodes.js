@@ -0,0 +1,46 @@
+import { SOCKET_ERROR } from '../constants.js';
+
+/**
+ * The exit codes of the CLI.
+ *
+ * Every {@link SOCKET_ERROR} type has its own code, so scripts can react to e.g. an invalid token differently
+ * than to an action the server rejected.
+ *
+ * @since 1.2.0
+ */
+export const EXIT_CODE = {
+	OK: 0,
+	[SOCKET_ERROR.GENERAL]: 1,
+	USAGE: 2,
+	[SOCKET_ERROR.TIMEOUT]: 3,
+	[SOCKET_ERROR.NO_ATTEMPTS_LEFT]: 4,
+	[SOCKET_ERROR.AUTH_FAILED]: 5,
+	[SOCKET_ERROR.AUTH_TIMEOUT]: 6,
+	[SOCKET_ERROR.ACTION_FAILED]: 7,
+	[SOCKET_ERROR.ACTION_TIMEOUT]: 8,
+	[SOCKET_ERROR.ACTION_ABORTED]: 9,
+	[SOCKET_ERROR.ACTION_DROPPED]: 10,
+	[SOCKET_ERROR.ACTION_INVALID]: 11
+};
+
+/**
+ * The error thrown when the CLI is called with invalid arguments.
+ */
+export class UsageError extends Error {
+	constructor(message) {
+		super(message);
+
+		this.name = 'UsageError';
+	}
+}
+
+/**
+ * Get the exit code for an error.
+ * @param {Error} error
+ * @return {number}
+ */
+export function exitCodeFor(error) {
+	if (error instanceof UsageError) return EXIT_CODE.USAGE;
+
+	return EXIT_CODE[error.type] || EXIT_CODE[SOCKET_ERROR.GENERAL];
+}
@@ -0,0 +1,122 @@
+/*
+ * The `mission-control` command line client.
+ */
+
+import { format, parseArgs } from 'util';
+
+import { COMMANDS } from './commands.js';
+import { loadConfig } from './config.js';
+import { connect } from './connect.js';
+import { EXIT_CODE, UsageError, exitCodeFor } from './exitCodes.js';
+
+const OPTIONS = {
+	url: { type: 'string', short: 'u' },
+	token: { type: 'string', short: 't' },
+	config: { type: 'string', short: 'c' },
+	timeout: { type: 'string' },
+	verbose: { type: 'boolean', short: 'v' },
+	help: { type: 'boolean', short: 'h' }
+};
+
+function help() {
+	const commands = Object.values(COMMANDS)
+		.map(command => `  ${command.usage.padEnd(36)}${command.description}`)
+		.join('\n');
+
+	return `Usage: mission-control <command> [options]
+
+Commands:
+${commands}
+
+Options:
+  -u, --url <url>        Mission Control URL (MISSION_CONTROL_URL)
+  -t, --token <token>    API token (MISSION_CONTROL_TOKEN)
+  -c, --config <file>    JSON config file with url, token and timeout (MISSION_CONTROL_CONFIG)
+                         Defaults to ~/.mission-control.json
+      --timeout <ms>     Time to wait for the connection and responses, 0 waits forever (default: 10000)
+  -v, --verbose          Log debug output to stderr
+  -h, --help             Show this help
+
+Exit codes:
+${Object.entries(EXIT_CODE).map(([name, code]) => `  ${String(code).padEnd(4)}${name}`).join('\n')}
+`;
+}
+
+function parse(argv) {
+	try {
+		return parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+	} catch (e) {
+		throw new UsageError(e.message);
+	}
+}
+
+function createLogger(stream, verbose) {
+	const log = level => verbose
+		? (...args) => stream.write(`[${level}] ${format(...args)}\n`)
+		: () => {};
+
+	return {
+		debug: log('debug'),
+		warn: log('warn'),
+		error: log('error')
+	};
+}
+
+/**
+ * Run the CLI.
+ *
+ * @param {Array<string>} argv - The arguments, without the node binary and script path.
+ * @param {object} [io]
+ * @param {object} [io.env=process.env]
+ * @param {stream.Readable} [io.stdin=process.stdin]
+ * @param {stream.Writable} [io.stdout=process.stdout]
+ * @param {stream.Writable} [io.stderr=process.stderr]
+ * @return {Promise<number>} The exit code, see {@link EXIT_CODE}.
+ * @since 1.2.0
+ */
+export async function run(argv, { env = process.env, stdin = process.stdin, stdout = process.stdout, stderr = process.stderr } = {}) {
+	let client = null;
+
+	try {
+		const { values: flags, positionals: [commandName, ...args] } = parse(argv);
+
+		if (flags.help) {
+			stdout.write(help());
+
+			return EXIT_CODE.OK;
+		}
+
+		if (!commandName) {
+			stderr.write(help());
+
+			return EXIT_CODE.USAGE;
+		}
+
+		const command = COMMANDS[commandName];
+
+		if (!command) throw new UsageError(`Unknown command '${commandName}'. See mission-control --help.`);
+
+		const params = command.parse(args);
+		const config = loadConfig(flags, env);
+
+		client = await connect(config, createLogger(stderr, flags.verbose));
+
+		await command.run(client, params, {
+			env,
+			stdin,
+			stdout,
+			timeout: config.timeout,
+			print: value => {
+				if (value !== undefined) stdout.write(JSON.stringify(value) + '\n');
+			}
+		});
+
+		return EXIT_CODE.OK;
+	} catch (e) {
+		stderr.write(`mission-control: ${e.message}\n`);
+
+		return exitCodeFor(e);
+	} finally {
+		if (client) await client.destroy();
+	}
+}
@@ -0,0 +1,178 @@
+import os from 'os';
+import path from 'path';
+import readline from 'readline';
+import repl from 'repl';
+import { inspect } from 'util';
+
+import { FATAL_ERRORS } from './connect.js';
+
+/**
+ * The file the REPL history is kept in if MISSION_CONTROL_REPL_HISTORY isn't set.
+ */
+export const DEFAULT_HISTORY_FILE = path.join(os.homedir(), '.mission-control_history');
+
+// `action('li|`, `watch("li|`, `client.service('li|`, ...
+const SERVICE_ARGUMENT = /\b(?:action|watch|unwatch|service|select)\(\s*['"]([^'"]*)$/;
+// `action('lights', 'TO|`
+const ACTION_ARGUMENT = /\baction\(\s*['"]([^'"]+)['"]\s*,\s*['"]([^'"]*)$/;
+const USED_ACTION = /\baction\(\s*['"]([^'"]+)['"]\s*,\s*['"]([^'"]+)['"]/g;
+
+/**
+ * Collect the actions used in the history, per service.
+ * @param {Array<string>} history
+ * @return {Map<string, Set<string>>}
+ */
+function usedActions(history) {
+	const actions = new Map();
+
+	for (const line of history) {
+		for (const [, service, action] of line.matchAll(USED_ACTION)) {
+			if (!actions.has(service)) actions.set(service, new Set());
+
+			actions.get(service).add(action);
+		}
+	}
+
+	return actions;
+}
+
+function complete(candidates, partial) {
+	return [[...new Set(candidates)].filter(candidate => candidate.startsWith(partial)).sort(), partial];
+}
+
+/**
+ * Start an interactive REPL with a connected client.
+ *
+ * The context contains the `client` and the helpers `action(service, action, data)`, `watch(service)` and `unwatch(service)`.
+ * Syncs of all subscribed services are printed as they arrive, promises are awaited before their result is printed.
+ * When the input ends, the REPL waits for the pending commands before it resolves. Service and action names inside these calls
+ * are tab completed from the subscribed services and the actions in the history.
+ *
+ * @param {MissionControlClient} client - A connected client.
+ * @param {object} options
+ * @param {stream.Readable} options.input
+ * @param {stream.Writable} options.output
+ * @param {string} options.historyFile
+ * @return {Promise} Resolves when the REPL is closed, rejects if the client runs into a fatal error.
+ */
+export function startRepl(client, { input, output, historyFile }) {
+	return new Promise((resolve, reject) => {
+		const server = repl.start({
+			prompt: 'mission-control> ',
+			input,
+			output
+		});
+
+		const printInline = text => {
+			if (server.terminal) {
+				readline.clearLine(output, 0);
+				readline.cursorTo(output, 0);
+			}
+
+			output.write(text + '\n');
+			server.displayPrompt(true);
+		};
+
+		const format = value => inspect(value, { colors: server.useColors, depth: null, breakLength: Infinity });
+
+		const watched = new Map();
+
+		Object.assign(server.context, {
+			client,
+			action: (service, action, data, options) => client.action(service, action, data, options),
+			watch(service) {
+				if (!watched.has(service)) {
+					// The state is printed by the sync listener below
+					watched.set(service, client.service(service, () => {}));
+				}
+			},
+			unwatch(service) {
+				if (watched.has(service)) {
+					watched.get(service).unsubscribe();
+					watched.delete(service);
+				}
+			}
+		});
+
+		// Promises are awaited before their result is printed. We keep track of them, so piped input
+		// (`echo "action('lights', 'TOGGLE')" | mission-control repl`) doesn't close the client before the answers arrive.
+		const pending = new Set();
+		const track = promise => {
+			pending.add(promise);
+			promise.then(() => pending.delete(promise));
+		};
+
+		const defaultEval = server.eval;
+
+		server.eval = (code, context, file, callback) => {
+			// With top-level await, the default eval only calls back once the command is done
+			track(new Promise(evaluated => {
+				defaultEval.call(server, code, context, file, (error, result) => {
+					if (!error && result && typeof result.then === 'function') {
+						track(result.then(value => callback(null, value), callback));
+					} else {
+						callback(error, result);
+					}
+
+					evaluated();
+				});
+			}));
+		};
+
+		const defaultCompleter = server.completer;
+
+		server.completer = (line, callback) => {
+			const actions = usedActions(server.history);
+
+			const actionArgument = line.match(ACTION_ARGUMENT);
+			if (actionArgument) {
+				const [, service, partial] = actionArgument;
+
+				return callback(null, complete(actions.get(service) || [], partial));
+			}
+
+			const serviceArgument = line.match(SERVICE_ARGUMENT);
+			if (serviceArgument) {
+				return callback(null, complete([...Object.keys(client._services), ...actions.keys()], serviceArgument[1]));
+			}
+
+			return defaultCompleter.call(server, line, callback);
+		};
+
+		const offSync = client.on('sync:*', (event, state) => {
+			printInline(`${event} ${format(state)}`);
+		});
+
+		const offStatus = client.on('status', (status, previous, reason) => {
+			printInline(`status ${previous} -> ${status}${reason ? ` (${reason})` : ''}`);
+		});
+
+		let fatalError = null;
+
+		const offError = client.on('error', (type, error) => {
+			printInline(`error ${type}: ${error.message}`);
+
+			if (FATAL_ERRORS.includes(type)) {
+				fatalError = error;
+				server.close();
+			}
+		});
+
+		server.setupHistory(historyFile, error => {
+			if (error) printInline(`Could not load history from ${historyFile}: ${error.message}`);
+		});
+
+		server.on('exit', async () => {
+			while (!fatalError && pending.size > 0) await Promise.all(pending);
+
+			offSync();
+			offStatus();
+			offError();
+
+			for (const handle of watched.values()) handle.unsubscribe();
+
+			if (fatalError) reject(fatalError);
+			else resolve();
+		});
+	});
+}
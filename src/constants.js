@@ -0,0 +1,92 @@
+/**
+ * The error types that cause the {@link SocketEvents} 'error' event to fire.
+ * @typedef {SOCKET_ERROR}
+ * @enum {string}
+ * @property {string} GENERAL A general socket error.
+ * @property {string} TIMEOUT The ping to the server timed out.
+ * @property {string} NO_ATTEMPTS_LEFT The client ran out of attempts to reconnect to the server.
+ * @property {string} AUTH_FAILED The client is not granted access to the server due to the token being invalid.
+ * @property {string} AUTH_TIMEOUT The client is not granted access to the server because the client took too long to authenticate.
+ * @property {string} ACTION_FAILED The server responded to an action (or another emit) with an error.
+ * @property {string} ACTION_TIMEOUT The server didn't answer an emit (action, subscribe, authenticate, ...) in time.
+ * @property {string} ACTION_ABORTED An emit was cancelled using an `AbortSignal` before the server answered.
+ * @property {string} ACTION_DROPPED A queued action was dropped from the offline queue before it could be sent.
+ * @property {string} ACTION_INVALID The action or its data doesn't match the action catalogue of the service, so it wasn't sent.
+ * @since 1.0.0
+ */
+export const SOCKET_ERROR = {
+	GENERAL: 'GENERAL',
+	TIMEOUT: 'TIMEOUT',
+	NO_ATTEMPTS_LEFT: 'NO_ATTEMPTS_LEFT',
+	AUTH_FAILED: 'AUTH_FAILED',
+	AUTH_TIMEOUT: 'AUTH_TIMEOUT',
+	ACTION_FAILED: 'ACTION_FAILED',
+	ACTION_TIMEOUT: 'ACTION_TIMEOUT',
+	ACTION_ABORTED: 'ACTION_ABORTED',
+	ACTION_DROPPED: 'ACTION_DROPPED',
+	ACTION_INVALID: 'ACTION_INVALID'
+};
+
+/**
+ * The disconnect reason that gets passed along with the {@link SocketEvents} 'disconnect' event.
+ * @type {Object} DISCONNECT_REASON
+ * @property {string} UNKNOWN An unknown disconnect reason.
+ * @property {string} SERVER_DISCONNECT The server disconnected the client. A manual reconnect would be required.
+ * @property {string} CLIENT_DISCONNECT The client disconnected from the server. A manual reconnect would be required.
+ * @property {string} PING_TIMEOUT The ping to the server timed-out. The client will automatically try to reconnect.
+ * @since 1.0.0
+ */
+export const DISCONNECT_REASON = {
+	UNKNOWN: 'UNKNOWN',
+	SERVER_DISCONNECT: 'SERVER_DISCONNECT',
+	CLIENT_DISCONNECT: 'CLIENT_DISCONNECT',
+	PING_TIMEOUT: 'PING_TIMEOUT'
+};
+
+/**
+ * The reasons why a queued action was dropped, passed along with the {@link SocketEvents} 'action:dropped' event.
+ * @type {Object} QUEUE_DROP_REASON
+ * @property {string} EXPIRED The action was queued for longer than its TTL allows.
+ * @property {string} OVERFLOW The queue was full and the action was the oldest one in it.
+ * @since 1.2.0
+ */
+export const QUEUE_DROP_REASON = {
+	EXPIRED: 'EXPIRED',
+	OVERFLOW: 'OVERFLOW'
+};
+
+/**
+ * The connection status of the client, see {@link MissionControlClient#status}.
+ * @type {Object} CONNECTION_STATUS
+ * @property {string} IDLE The client was created, but hasn't started connecting yet.
+ * @property {string} CONNECTING The client is connecting to the server for the first time.
+ * @property {string} AUTHENTICATING The client is connected and waiting for the server to accept its token.
+ * @property {string} READY The client is authenticated and can send actions.
+ * @property {string} RECONNECTING The connection was lost and the client is trying to reconnect.
+ * @property {string} AUTH_FAILED The server didn't accept the token. Use {@link MissionControlClient#setToken} to try another one.
+ * @property {string} CLOSED The connection was closed and won't be re-established automatically.
+ * @since 1.2.0
+ */
+export const CONNECTION_STATUS = {
+	IDLE: 'idle',
+	CONNECTING: 'connecting',
+	AUTHENTICATING: 'authenticating',
+	READY: 'ready',
+	RECONNECTING: 'reconnecting',
+	AUTH_FAILED: 'auth_failed',
+	CLOSED: 'closed'
+};
+
+/**
+ * How the actions of a {@link MissionControlClient#batch} are executed.
+ * @type {Object} BATCH_MODE
+ * @property {string} PARALLEL All actions are executed independently, at the same time.
+ * @property {string} SEQUENTIAL The actions are executed one after the other, by default stopping at the first failure.
+ * @property {string} ATOMIC The actions are executed one after the other and only applied if all of them succeed.
+ * @since 1.2.0
+ */
+export const BATCH_MODE = {
+	PARALLEL: 'parallel',
+	SEQUENTIAL: 'sequential',
+	ATOMIC: 'atomic'
+};
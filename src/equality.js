@@ -0,0 +1,59 @@
+/*
+ * Equality checks used to decide whether a selected part of the state changed.
+ */
+
+function isObject(value) {
+	return value !== null && typeof value === 'object';
+}
+
+/**
+ * Compare two values by reference.
+ * @param {any} a
+ * @param {any} b
+ * @return {boolean}
+ */
+export function strictEqual(a, b) {
+	return Object.is(a, b);
+}
+
+/**
+ * Compare two values and, if they're objects or arrays, their direct children by reference.
+ * @param {any} a
+ * @param {any} b
+ * @return {boolean}
+ */
+export function shallowEqual(a, b) {
+	if (Object.is(a, b)) return true;
+	if (!isObject(a) || !isObject(b) || Array.isArray(a) !== Array.isArray(b)) return false;
+
+	const keys = Object.keys(a);
+
+	return keys.length === Object.keys(b).length
+		&& keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key]));
+}
+
+/**
+ * Compare two JSON-like values recursively.
+ * @param {any} a
+ * @param {any} b
+ * @return {boolean}
+ */
+export function deepEqual(a, b) {
+	if (Object.is(a, b)) return true;
+	if (!isObject(a) || !isObject(b) || Array.isArray(a) !== Array.isArray(b)) return false;
+
+	const keys = Object.keys(a);
+
+	return keys.length === Object.keys(b).length
+		&& keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+}
+
+/**
+ * The equality checks that can be referenced by name.
+ * @type {Record<string, function(a: any, b: any): boolean>}
+ */
+export const EQUALITY = {
+	strict: strictEqual,
+	shallow: shallowEqual,
+	deep: deepEqual
+};
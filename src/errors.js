@@ -0,0 +1,182 @@
+import { SOCKET_ERROR } from './constants.js';
+
+/**
+ * The base class for all errors the client rejects with or passes to the {@link SocketEvents} 'error' event.
+ *
+ * Every error carries a {@link SOCKET_ERROR} type and, if available, the error code, service and action
+ * name as well as the original payload the server responded with. That way you can either `instanceof`-switch
+ * over the error classes or compare the `type`.
+ *
+ * @since 1.2.0
+ * @example
+ * try {
+ * 	await client.action('lights', 'TOGGLE');
+ * } catch (e) {
+ * 	if (e instanceof TimeoutError) { ... }
+ * 	else if (e instanceof ActionError) { console.log(e.service, e.action, e.code, e.payload) }
+ * }
+ */
+export class MissionControlError extends Error {
+	/**
+	 * @param {string} message - The error message.
+	 * @param {object} [details]
+	 * @param {SOCKET_ERROR} [details.type=SOCKET_ERROR.GENERAL] - The error type.
+	 * @param {string} [details.code] - The error code the server responded with.
+	 * @param {string} [details.service] - The service that was involved.
+	 * @param {string} [details.action] - The action that was involved.
+	 * @param {any} [details.payload] - The original error payload, e.g. the server response.
+	 * @param {Error} [details.cause] - The underlying error.
+	 */
+	constructor(message, { type = SOCKET_ERROR.GENERAL, code, service, action, payload, cause } = {}) {
+		super(message);
+
+		this.name = 'MissionControlError';
+
+		/** @type {SOCKET_ERROR} */
+		this.type = type;
+
+		/** @type {string|undefined} */
+		this.code = code;
+
+		/** @type {string|undefined} */
+		this.service = service;
+
+		/** @type {string|undefined} */
+		this.action = action;
+
+		/** @type {any} */
+		this.payload = payload;
+
+		/** @type {Error|undefined} */
+		this.cause = cause;
+	}
+
+	/**
+	 * Create an error from an error object the server responded with.
+	 *
+	 * The server usually responds with `{ error: { message, code } }`, but older versions
+	 * sometimes only send a string, so both are handled.
+	 *
+	 * @param {object|string} error - The `error` property of the server response.
+	 * @param {object} [details] - Additional details, see the constructor.
+	 * @return {MissionControlError}
+	 */
+	static fromResponse(error, details = {}) {
+		const message = (error && error.message) || String(error);
+
+		return new this(message, {
+			code: error && error.code,
+			payload: error,
+			...details
+		});
+	}
+}
+
+/**
+ * The server didn't grant us access, either because the token was invalid (`AUTH_FAILED`)
+ * or because we took too long to authenticate (`AUTH_TIMEOUT`).
+ * @since 1.2.0
+ */
+export class AuthError extends MissionControlError {
+	constructor(message, details = {}) {
+		super(message, { type: SOCKET_ERROR.AUTH_FAILED, ...details });
+
+		this.name = 'AuthError';
+	}
+}
+
+/**
+ * The server responded to an action (or another emit like `subscribe`) with an error.
+ * @since 1.2.0
+ */
+export class ActionError extends MissionControlError {
+	constructor(message, details = {}) {
+		super(message, { type: SOCKET_ERROR.ACTION_FAILED, ...details });
+
+		this.name = 'ActionError';
+	}
+}
+
+/**
+ * An action wasn't sent, because it isn't part of the service's action catalogue or its data doesn't match the schema.
+ *
+ * `field` names the first field that failed (e.g. 'rooms[0].name', '' for the data itself), `errors` lists all problems found.
+ * @since 1.2.0
+ */
+export class ValidationError extends MissionControlError {
+	/**
+	 * @param {string} message - The error message.
+	 * @param {object} [details] - See {@link MissionControlError}.
+	 * @param {string} [details.field] - The first field that failed.
+	 * @param {Array<{ field: string, message: string }>} [details.errors] - All problems found.
+	 */
+	constructor(message, { field, errors = [], ...details } = {}) {
+		super(message, { type: SOCKET_ERROR.ACTION_INVALID, ...details });
+
+		this.name = 'ValidationError';
+
+		/** @type {string|undefined} */
+		this.field = field;
+
+		/** @type {Array<{ field: string, message: string }>} */
+		this.errors = errors;
+	}
+}
+
+/**
+ * Some actions of a {@link MissionControlClient#batch} failed.
+ *
+ * `results` has the outcome of every action in the order they were passed, like `Promise.allSettled`:
+ * `{ status: 'fulfilled', response }`, `{ status: 'rejected', error }` or `{ status: 'skipped' }` for actions that weren't
+ * executed (or were rolled back) because of an earlier failure.
+ * @since 1.2.0
+ */
+export class BatchError extends MissionControlError {
+	/**
+	 * @param {string} message - The error message.
+	 * @param {object} [details] - See {@link MissionControlError}.
+	 * @param {Array<BatchResult>} [details.results] - The outcome of every action.
+	 */
+	constructor(message, { results = [], ...details } = {}) {
+		super(message, { type: SOCKET_ERROR.ACTION_FAILED, ...details });
+
+		this.name = 'BatchError';
+
+		/** @type {Array<BatchResult>} */
+		this.results = results;
+	}
+
+	/**
+	 * The errors of the actions that failed.
+	 * @type {Array<MissionControlError>}
+	 */
+	get errors() {
+		return this.results
+			.filter(result => result.status === 'rejected')
+			.map(result => result.error);
+	}
+}
+
+/**
+ * The server didn't answer an emit in time.
+ * @since 1.2.0
+ */
+export class TimeoutError extends MissionControlError {
+	constructor(message, details = {}) {
+		super(message, { type: SOCKET_ERROR.ACTION_TIMEOUT, ...details });
+
+		this.name = 'TimeoutError';
+	}
+}
+
+/**
+ * Something went wrong with the connection itself (`GENERAL`, `TIMEOUT` or `NO_ATTEMPTS_LEFT`).
+ * @since 1.2.0
+ */
+export class TransportError extends MissionControlError {
+	constructor(message, details = {}) {
+		super(message, { type: SOCKET_ERROR.GENERAL, ...details });
+
+		this.name = 'TransportError';
+	}
+}
@@ -0,0 +1,445 @@
+/*
+ * Type declarations for the main entry point.
+ *
+ * The full documentation lives in the ESDoc comments of the JS sources, these only describe the shapes.
+ * Pass a service map to MissionControlClient to get typed states and action data, see `mission-control types`.
+ */
+
+export declare const SOCKET_ERROR: {
+	readonly GENERAL: 'GENERAL';
+	readonly TIMEOUT: 'TIMEOUT';
+	readonly NO_ATTEMPTS_LEFT: 'NO_ATTEMPTS_LEFT';
+	readonly AUTH_FAILED: 'AUTH_FAILED';
+	readonly AUTH_TIMEOUT: 'AUTH_TIMEOUT';
+	readonly ACTION_FAILED: 'ACTION_FAILED';
+	readonly ACTION_TIMEOUT: 'ACTION_TIMEOUT';
+	readonly ACTION_ABORTED: 'ACTION_ABORTED';
+	readonly ACTION_DROPPED: 'ACTION_DROPPED';
+	readonly ACTION_INVALID: 'ACTION_INVALID';
+};
+export type SOCKET_ERROR = typeof SOCKET_ERROR[keyof typeof SOCKET_ERROR];
+
+export declare const DISCONNECT_REASON: {
+	readonly UNKNOWN: 'UNKNOWN';
+	readonly SERVER_DISCONNECT: 'SERVER_DISCONNECT';
+	readonly CLIENT_DISCONNECT: 'CLIENT_DISCONNECT';
+	readonly PING_TIMEOUT: 'PING_TIMEOUT';
+};
+export type DISCONNECT_REASON = typeof DISCONNECT_REASON[keyof typeof DISCONNECT_REASON];
+
+export declare const QUEUE_DROP_REASON: {
+	readonly EXPIRED: 'EXPIRED';
+	readonly OVERFLOW: 'OVERFLOW';
+};
+export type QUEUE_DROP_REASON = typeof QUEUE_DROP_REASON[keyof typeof QUEUE_DROP_REASON];
+
+export declare const CONNECTION_STATUS: {
+	readonly IDLE: 'idle';
+	readonly CONNECTING: 'connecting';
+	readonly AUTHENTICATING: 'authenticating';
+	readonly READY: 'ready';
+	readonly RECONNECTING: 'reconnecting';
+	readonly AUTH_FAILED: 'auth_failed';
+	readonly CLOSED: 'closed';
+};
+export type CONNECTION_STATUS = typeof CONNECTION_STATUS[keyof typeof CONNECTION_STATUS];
+
+export declare const BATCH_MODE: {
+	readonly PARALLEL: 'parallel';
+	readonly SEQUENTIAL: 'sequential';
+	readonly ATOMIC: 'atomic';
+};
+export type BATCH_MODE = typeof BATCH_MODE[keyof typeof BATCH_MODE];
+
+/*
+ * Errors
+ */
+
+export interface ErrorDetails {
+	type?: SOCKET_ERROR;
+	code?: string;
+	service?: string;
+	action?: string;
+	payload?: unknown;
+	cause?: Error;
+}
+
+export declare class MissionControlError extends Error {
+	constructor(message: string, details?: ErrorDetails);
+	static fromResponse<T extends MissionControlError>(this: new (message: string, details?: ErrorDetails) => T, error: unknown, details?: ErrorDetails): T;
+	type: SOCKET_ERROR;
+	code?: string;
+	service?: string;
+	action?: string;
+	payload?: unknown;
+	cause?: Error;
+}
+
+export declare class AuthError extends MissionControlError {}
+export declare class ActionError extends MissionControlError {}
+export declare class TimeoutError extends MissionControlError {}
+export declare class TransportError extends MissionControlError {}
+
+export interface ValidationProblem {
+	/** A path like 'rooms[0].name', or '' for the data itself. */
+	field: string;
+	message: string;
+}
+
+export declare class ValidationError extends MissionControlError {
+	constructor(message: string, details?: ErrorDetails & { field?: string; errors?: ValidationProblem[] });
+	field?: string;
+	errors: ValidationProblem[];
+}
+
+export type BatchResult =
+	| { service: string; action: string; status: 'fulfilled'; response: ActionResponse }
+	| { service: string; action: string; status: 'rejected'; error: MissionControlError }
+	| { service: string; action: string; status: 'skipped' };
+
+export declare class BatchError extends MissionControlError {
+	constructor(message: string, details?: ErrorDetails & { results?: BatchResult[] });
+	results: BatchResult[];
+	readonly errors: MissionControlError[];
+}
+
+/*
+ * Service maps
+ */
+
+/** The state of a service and the data of each of its actions. */
+export interface ServiceDefinition {
+	state: unknown;
+	/** The data of each action by action name. */
+	actions: object;
+}
+
+/** The services of a server by name. The default lets you use any service with untyped state and data. */
+export type ServiceMap = Record<string, { state: any; actions: Record<string, any> }>;
+
+export type ServiceName<Services> = keyof Services & string;
+export type ServiceState<Services, Name extends ServiceName<Services>> = Services[Name] extends { state: infer State } ? State : never;
+export type ServiceActions<Services, Name extends ServiceName<Services>> = Services[Name] extends { actions: infer Actions } ? Actions : never;
+export type ActionName<Services, Name extends ServiceName<Services>> = keyof ServiceActions<Services, Name> & string;
+export type ActionData<Services, Name extends ServiceName<Services>, Action extends ActionName<Services, Name>> = ServiceActions<Services, Name>[Action];
+
+/** An action of a batch, checked against the service map. */
+export type BatchAction<Services> = {
+	[Name in ServiceName<Services>]: {
+		[Action in ActionName<Services, Name>]: { service: Name; action: Action; data?: ActionData<Services, Name, Action> };
+	}[ActionName<Services, Name>];
+}[ServiceName<Services>];
+
+/*
+ * Client
+ */
+
+export interface StateMeta {
+	stale: boolean;
+	updatedAt: number;
+}
+
+export interface ActionCatalogue {
+	service: string;
+	/** A JSON Schema of the state, if the server has one. */
+	stateSchema?: object;
+	actions: Record<string, { description?: string; schema?: object }>;
+}
+
+export type DehydratedState = Record<string, { state: unknown; updatedAt: number }>;
+
+export interface QueuedAction {
+	id: string;
+	service: string;
+	action: string;
+	data: unknown;
+	queuedAt: number;
+	expiresAt: number | null;
+	timeout?: number;
+}
+
+export interface Store {
+	getItem(key: string): Promise<any>;
+	setItem(key: string, value: any): Promise<void>;
+	removeItem(key: string): Promise<void>;
+}
+
+export interface Logger {
+	debug(...args: any[]): void;
+	warn(...args: any[]): void;
+	error(...args: any[]): void;
+}
+
+export interface RequestOptions {
+	timeout?: number;
+	signal?: AbortSignal;
+}
+
+export interface ActionOptions<State = any> extends RequestOptions {
+	ttl?: number;
+	optimistic?: (state: State) => State;
+}
+
+/** The server response to an action. */
+export type ActionResponse = Record<string, any>;
+
+export interface ConnectionOptions {
+	path?: string;
+	reconnection?: boolean;
+	reconnectionAttempts?: number;
+	reconnectionDelay?: number;
+	reconnectionDelayMax?: number;
+	socketOptions?: Record<string, any>;
+}
+
+export interface ClientOptions {
+	logger?: Logger;
+	queue?: { store?: Store; key?: string; ttl?: number; maxSize?: number } | false;
+	timeout?: number;
+	cache?: { store: Store; key?: string; maxAge?: number } | false;
+	autoConnect?: boolean;
+	transport?: Transport;
+	connection?: ConnectionOptions;
+	initialState?: DehydratedState;
+	validate?: boolean;
+	rateLimit?: RateLimitOptions | false;
+}
+
+export type RateLimitPolicy = { throttle: number } | { debounce: number } | { latest: true };
+
+export interface RateLimitOptions {
+	/** Keys are 'service:action' and may contain `*` wildcards. */
+	policies?: Record<string, RateLimitPolicy>;
+	maxInFlight?: number;
+}
+
+/** What {@link MissionControlClient#service} returns. */
+export interface ServiceHandle<State = any, Actions = Record<string, any>> {
+	readonly ready: boolean;
+	readonly state: State | null;
+	readonly stale: boolean;
+	action<Action extends keyof Actions & string>(action: Action, data?: Actions[Action], options?: ActionOptions<State>): Promise<ActionResponse>;
+	unsubscribe(): void;
+}
+
+export interface ClientEvents {
+	connect: () => void;
+	disconnect: (reason: DISCONNECT_REASON) => void;
+	error: (type: SOCKET_ERROR, error: MissionControlError) => void;
+	reconnecting: (attempt: number) => void;
+	status: (status: CONNECTION_STATUS, previous: CONNECTION_STATUS, reason?: string) => void;
+	'action:queued': (action: QueuedAction) => void;
+	'action:dropped': (action: QueuedAction, reason: QUEUE_DROP_REASON) => void;
+	'optimistic:rollback': (service: string, action: string, error: MissionControlError) => void;
+}
+
+type Unsubscribe = () => void;
+
+export declare class MissionControlClient<Services extends { [Name in keyof Services]: ServiceDefinition } = ServiceMap> {
+	constructor(url: string | null, authToken: string | (() => Promise<string>), options?: ClientOptions);
+
+	static fetchState<State = any>(url: string, authToken: string | (() => Promise<string>), service: string, options?: RequestOptions & ClientOptions): Promise<State>;
+
+	authToken: string | null;
+	timeout: number;
+	validate: boolean;
+	transport: Transport;
+	/** @deprecated Use `transport` instead. */
+	socket: any;
+	queue: ActionQueue | null;
+	rateLimiter: RateLimiter | null;
+	cache: object | null;
+	hydrated: Promise<void>;
+
+	readonly status: CONNECTION_STATUS;
+	readonly ready: boolean;
+
+	whenReady(options?: RequestOptions): Promise<void>;
+	connect(): void;
+	close(options?: { timeout?: number }): Promise<void>;
+	destroy(options?: { timeout?: number }): Promise<void>;
+	setToken(authToken: string | (() => Promise<string>)): Promise<void>;
+
+	on<Event extends keyof ClientEvents>(event: Event, listener: ClientEvents[Event]): Unsubscribe;
+	on(event: string, listener: (...args: any[]) => void): Unsubscribe;
+	once<Event extends keyof ClientEvents>(event: Event, listener: ClientEvents[Event]): Unsubscribe;
+	once(event: string, listener: (...args: any[]) => void): Unsubscribe;
+	onAny(listener: (event: string, ...args: any[]) => void): Unsubscribe;
+	onServerEvent(event: string, listener: (...args: any[]) => void): Unsubscribe;
+
+	service<Name extends ServiceName<Services>>(
+		name: Name,
+		listener: (state: ServiceState<Services, Name>, meta: StateMeta) => void | Promise<void>
+	): ServiceHandle<ServiceState<Services, Name>, ServiceActions<Services, Name>>;
+
+	select<Name extends ServiceName<Services>, Selected>(
+		name: Name,
+		selector: (state: ServiceState<Services, Name>) => Selected,
+		listener: (selected: Selected, meta: StateMeta) => void | Promise<void>,
+		options?: { equals?: 'strict' | 'shallow' | 'deep' | ((a: Selected, b: Selected) => boolean) }
+	): { readonly value: Selected | undefined; unsubscribe: Unsubscribe };
+
+	getState<Name extends ServiceName<Services>>(name: Name, options?: RequestOptions): Promise<ServiceState<Services, Name>>;
+
+	action<Name extends ServiceName<Services>, Action extends ActionName<Services, Name>>(
+		service: Name,
+		action: Action,
+		data?: ActionData<Services, Name, Action>,
+		options?: ActionOptions<ServiceState<Services, Name>>
+	): Promise<ActionResponse>;
+
+	batch(
+		actions: Array<BatchAction<Services>>,
+		options?: RequestOptions & { mode?: BATCH_MODE; stopOnError?: boolean }
+	): Promise<BatchResult[]>;
+
+	describe(service: ServiceName<Services>, options?: { refresh?: boolean; timeout?: number }): Promise<ActionCatalogue>;
+
+	dehydrate(): DehydratedState;
+	hydrate(entries: DehydratedState): void;
+
+	reportError(error: unknown): void;
+}
+
+export declare class RateLimiter {
+	constructor(options?: RateLimitOptions, logger?: Logger);
+	maxInFlight: number;
+	schedule<T>(service: string, action: string, send: (signal?: AbortSignal) => Promise<T>, signal?: AbortSignal): Promise<T>;
+	limit<T>(send: () => Promise<T>, options?: { signal?: AbortSignal; service?: string; action?: string }): Promise<T>;
+	clear(error?: MissionControlError): void;
+}
+
+export declare class ActionQueue {
+	readonly size: number;
+	store: Store;
+	key: string;
+	ttl: number;
+	maxSize: number;
+}
+
+/*
+ * Stores
+ */
+
+export declare class MemoryStore implements Store {
+	getItem(key: string): Promise<any>;
+	setItem(key: string, value: any): Promise<void>;
+	removeItem(key: string): Promise<void>;
+}
+
+export declare class LocalStorageStore implements Store {
+	constructor(prefix?: string, storage?: Storage);
+	getItem(key: string): Promise<any>;
+	setItem(key: string, value: any): Promise<void>;
+	removeItem(key: string): Promise<void>;
+}
+
+export declare class IndexedDBStore implements Store {
+	constructor(dbName?: string, storeName?: string, indexedDB?: IDBFactory);
+	getItem(key: string): Promise<any>;
+	setItem(key: string, value: any): Promise<void>;
+	removeItem(key: string): Promise<void>;
+}
+
+/*
+ * Transports
+ */
+
+export interface TransportEvents {
+	connect: () => void;
+	disconnect: (reason: DISCONNECT_REASON) => void;
+	connect_error: (error: Error) => void;
+	reconnect_attempt: (attempt: number) => void;
+	reconnect_failed: () => void;
+	event: (event: string, ...args: any[]) => void;
+}
+
+export declare class Transport {
+	readonly connected: boolean;
+	readonly active: boolean;
+	on<Event extends keyof TransportEvents>(event: Event, listener: TransportEvents[Event]): Unsubscribe;
+	off<Event extends keyof TransportEvents>(event: Event, listener: TransportEvents[Event]): void;
+	removeAllListeners(): void;
+	connect(): void;
+	close(): void;
+	emit(event: string, data: unknown, ack?: (response: any) => void): void;
+	protected _emitLocal(event: string, ...args: any[]): void;
+}
+
+export declare class SocketIOTransport extends Transport {
+	constructor(url: string, options?: ConnectionOptions);
+	socket: any;
+}
+
+export declare class WebSocketTransport extends Transport {
+	constructor(url: string, options?: {
+		WebSocket?: any;
+		protocols?: string | string[];
+		reconnection?: boolean;
+		reconnectionAttempts?: number;
+		reconnectionDelay?: number;
+		reconnectionDelayMax?: number;
+	});
+}
+
+export declare class MemoryTransport extends Transport {
+	constructor(handlers?: Record<string, (data: any, transport: MemoryTransport) => any>);
+	handlers: Record<string, (data: any, transport: MemoryTransport) => any>;
+	send(event: string, ...args: any[]): void;
+	drop(): void;
+}
+
+export interface SessionEntry {
+	t: number;
+	type: 'session' | 'transport' | 'receive' | 'emit' | 'ack' | 'event';
+	[key: string]: any;
+}
+
+export declare function parseSession(ndjson: string): SessionEntry[];
+
+export declare class ReplayTransport extends Transport {
+	constructor(session: string | SessionEntry[], options?: { speed?: number });
+	speed: number;
+	unmatched: SessionEntry[];
+	finished: Promise<void>;
+}
+
+export declare class SessionRecorder {
+	constructor(client: MissionControlClient<any>, output: { write(chunk: string): unknown });
+	client: MissionControlClient<any>;
+	startedAt: number;
+	stop(): void;
+}
+
+/*
+ * Cluster
+ */
+
+type ClientConfig = ClientOptions & { url: string; token: string | (() => Promise<string>) };
+
+export interface ClusterEvents {
+	status: (server: string, status: CONNECTION_STATUS, previous: CONNECTION_STATUS, reason?: string) => void;
+	error: (server: string, type: SOCKET_ERROR, error: MissionControlError) => void;
+	failover: (server: string, client: MissionControlClient<any>, previousClient: MissionControlClient<any>) => void;
+}
+
+export declare class MissionControlCluster {
+	constructor(
+		servers: Record<string, MissionControlClient<any> | ClientConfig | Array<MissionControlClient<any> | ClientConfig>>,
+		options?: ClientOptions & { defaultServer?: string }
+	);
+
+	defaultServer?: string;
+	readonly servers: string[];
+	readonly statuses: Record<string, CONNECTION_STATUS>;
+	readonly ready: boolean;
+
+	client(server: string): MissionControlClient<any>;
+	whenReady(options?: RequestOptions): Promise<void>;
+	on<Event extends keyof ClusterEvents>(event: Event, listener: ClusterEvents[Event]): Unsubscribe;
+	service(path: string, listener: (state: any, meta: StateMeta) => void | Promise<void>): ServiceHandle;
+	action(path: string, action: string, data?: unknown, options?: ActionOptions): Promise<ActionResponse>;
+	connect(): void;
+	close(options?: { timeout?: number }): Promise<void>;
+	destroy(options?: { timeout?: number }): Promise<void>;
+}
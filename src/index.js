@@ -1,41 +1,31 @@
-import socketIO from 'socket.io-client';
 import nanobus from 'nanobus';
 import autoBind from 'auto-bind';
-
-/**
- * The error types that cause the {@link SocketEvents} 'error' event to fire.
- * @typedef {SOCKET_ERROR}
- * @enum {string}
- * @property {string} GENERAL A general socket error.
- * @property {string} TIMEOUT The ping to the server timed out.
- * @property {string} NO_ATTEMPTS_LEFT The client ran out of attempts to reconnect to the server.
- * @property {string} AUTH_FAILED The client is not granted access to the server due to the token being invalid.
- * @property {string} AUTH_TIMEOUT The client is not granted access to the server because the client took too long to authenticate.
- * @since 1.0.0
- */
-export const SOCKET_ERROR = {
-	GENERAL: 'GENERAL',
-	TIMEOUT: 'TIMEOUT',
-	NO_ATTEMPTS_LEFT: 'NO_ATTEMPTS_LEFT',
-	AUTH_FAILED: 'AUTH_FAILED',
-	AUTH_TIMEOUT: 'AUTH_TIMEOUT'
-};
-
-/**
- * The disconnect reason that gets passed along with the {@link SocketEvents} 'disconnect' event.
- * @type {Object} DISCONNECT_REASON
- * @property {string} UNKNOWN An unknown disconnect reason.
- * @property {string} SERVER_DISCONNECT The server disconnected the client. A manual reconnect would be required.
- * @property {string} CLIENT_DISCONNECT The client disconnected from the server. A manual reconnect would be required.
- * @property {string} PING_TIMEOUT The ping to the server timed-out. The client will automatically try to reconnect.
- * @since 1.0.0
- */
-export const DISCONNECT_REASON = {
-	UNKNOWN: 'UNKNOWN',
-	SERVER_DISCONNECT: 'SERVER_DISCONNECT',
-	CLIENT_DISCONNECT: 'CLIENT_DISCONNECT',
-	PING_TIMEOUT: 'PING_TIMEOUT'
-};
+import { SOCKET_ERROR, DISCONNECT_REASON, QUEUE_DROP_REASON, CONNECTION_STATUS, BATCH_MODE } from './constants.js';
+import { MissionControlError, AuthError, ActionError, TimeoutError, TransportError, ValidationError, BatchError } from './errors.js';
+import { ActionQueue } from './ActionQueue.js';
+import { RateLimiter } from './RateLimiter.js';
+import { OptimisticUpdates } from './OptimisticUpdates.js';
+import { PersistentStateCache } from './PersistentStateCache.js';
+import { applyPatch } from './jsonPatch.js';
+import { validate as validateSchema } from './jsonSchema.js';
+import { EQUALITY } from './equality.js';
+import { isPattern, compilePattern } from './patterns.js';
+import { MemoryStore } from './stores/MemoryStore.js';
+import { LocalStorageStore } from './stores/LocalStorageStore.js';
+import { IndexedDBStore } from './stores/IndexedDBStore.js';
+import { SessionRecorder } from './SessionRecorder.js';
+import { Transport } from './transports/Transport.js';
+import { SocketIOTransport } from './transports/SocketIOTransport.js';
+import { WebSocketTransport } from './transports/WebSocketTransport.js';
+import { MemoryTransport } from './transports/MemoryTransport.js';
+import { ReplayTransport, parseSession } from './transports/ReplayTransport.js';
+import { MissionControlCluster } from './MissionControlCluster.js';
+
+export { SOCKET_ERROR, DISCONNECT_REASON, QUEUE_DROP_REASON, CONNECTION_STATUS, BATCH_MODE, ActionQueue, RateLimiter, MemoryStore, LocalStorageStore, IndexedDBStore };
+export { MissionControlError, AuthError, ActionError, TimeoutError, TransportError, ValidationError, BatchError };
+export { SessionRecorder, parseSession };
+export { Transport, SocketIOTransport, WebSocketTransport, MemoryTransport, ReplayTransport };
+export { MissionControlCluster };
 
 /**
  * As ESDoc lacks a way to properly document events, this typedef shows all the different events the client might emit.
@@ -43,13 +33,84 @@ export const DISCONNECT_REASON = {
  * @typedef SocketEvents
  * @property {void} connect Emitted on a successful connect to the server. Called after authentication.
  * @property {DISCONNECT_REASON} disconnect Emitted when the client disconnected from the server. The disconnect reason indicates why.
- * @property {SOCKET_ERROR, object} error Emitted when the encounters an error. The first argument is the {@link SOCKET_ERROR} object, indicating what the error object might be.
+ * @property {SOCKET_ERROR, MissionControlError} error Emitted when the client encounters an error. The first argument is the {@link SOCKET_ERROR} type, the second one an instance of one of the {@link MissionControlError} classes.
  * @property {Number} reconnecting Emitted once the clients starts trying to reconnect to the server. Attempt number passed to the listener.
+ * @property {CONNECTION_STATUS, CONNECTION_STATUS, string} status Emitted when the connection status changes. The new status, the previous status and the reason for the change are passed to the listener.
+ * @property {QueuedAction} action:queued Emitted when an action was put into the offline queue because the client wasn't ready.
+ * @property {QueuedAction, QUEUE_DROP_REASON} action:dropped Emitted when a queued action was dropped without being sent. The second argument indicates why.
+ * @property {string, string, MissionControlError} optimistic:rollback Emitted when an optimistic update was rolled back because its action failed. Service name, action name and error are passed to the listener.
  *
  * @example
- * client.on('error', (errorType, errorData) => {});
+ * client.on('error', (errorType, error) => {});
  * client.on('disconnect', reason => {});
  * client.on('reconnecting', attempt => {});
+ * client.on('status', (status, previous, reason) => {});
+ *
+ * // Every event the server sends is also emitted as 'internal:<event>'
+ * client.onServerEvent('notification:created', notification => {});
+ *
+ * // Patterns and catch-all listeners receive the event name first
+ * client.on('sync:*', (event, state, meta) => {});
+ * client.onAny((event, ...args) => {});
+ * client.on('action:dropped', (action, reason) => {});
+ * client.on('optimistic:rollback', (service, action, error) => {});
+ */
+
+/**
+ * The message the server sends with the 'sync' event.
+ *
+ * It either contains the full `state` of a service, or a JSON `patch` (RFC 6902) that has to be applied to the
+ * previous state. Patches are versioned: a patch with version `n` can only be applied on top of version `n - 1`.
+ * If the client missed a version, it requests the full state again with a 'resync' emit.
+ *
+ * @typedef SyncMessage
+ * @property {string} service The service name.
+ * @property {object} [state] The full service state.
+ * @property {Array<object>} [patch] JSON Patch operations to apply to the previous state.
+ * @property {number} [version] The version of the state after this message.
+ *
+ * @example
+ * { service: 'lights', state: { on: false }, version: 4 }
+ * { service: 'lights', patch: [{ op: 'replace', path: '/on', value: true }], version: 5 }
+ */
+
+/**
+ * Information about the state passed to service listeners along with the state itself.
+ *
+ * @typedef StateMeta
+ * @property {boolean} stale True if the state is from the cache (e.g. persisted before a reload, or from before a disconnect)
+ * and hasn't been confirmed by the server since. False if the state is live.
+ * @property {number} updatedAt The timestamp when the state was received from the server.
+ */
+
+/**
+ * The actions a service offers, as described by the server in response to a 'describe' emit.
+ *
+ * @typedef ActionCatalogue
+ * @property {string} service The service name.
+ * @property {object} [stateSchema] A JSON Schema of the service's state, if the server has one.
+ * @property {Record<string, { description?: string, schema?: object }>} actions The actions by name,
+ * with a JSON Schema for their data if the server has one.
+ *
+ * @example
+ * {
+ * 	service: 'lights',
+ * 	actions: {
+ * 		TOGGLE: { description: 'Turn the lights on or off.' },
+ * 		SET_BRIGHTNESS: { schema: { type: 'object', properties: { brightness: { type: 'integer', minimum: 0, maximum: 100 } }, required: ['brightness'] } }
+ * 	}
+ * }
+ */
+
+/**
+ * The outcome of one action of a {@link MissionControlClient#batch}, in the style of `Promise.allSettled`.
+ *
+ * @typedef BatchResult
+ * @property {string} service The service name.
+ * @property {string} action The action name.
+ * @property {string} status 'fulfilled', 'rejected' or 'skipped' if the action wasn't executed or was rolled back.
+ * @property {object} [response] The server response, if fulfilled.
+ * @property {MissionControlError} [error] Why it failed, if rejected.
  */
 
 /**
@@ -67,31 +128,107 @@ export class MissionControlClient {
 	/**
 	 * The MissionControlClient constructor.
 	 *
-	 * @param {string} url - The mission control url the client should connect to.
-	 * @param {string} authToken - The JWT authentication token that should be used to authenticate.
+	 * @param {string} url - The mission control url the client should connect to. Not used if you pass a transport.
+	 * @param {string|function(): Promise<string>} authToken - The JWT authentication token that should be used to authenticate,
+	 * or a (async) function returning one. The function is called before every (re)authentication, so it can refresh expired tokens.
+	 * @param {object} [options]
+	 * @param {object} [options.logger] - A logger with `debug`, `warn` and `error` methods. Defaults to the console.
+	 * @param {object|false} [options.queue] - Options for the offline {@link ActionQueue} (`store`, `ttl`, `maxSize`). Pass `false` to disable queueing.
+	 * @param {number} [options.timeout=30000] - The default time in ms to wait for the server to answer an emit. Pass 0 to wait forever.
+	 * @param {object|false} [options.cache=false] - Options for persisting the state cache (`store`, `key`, `maxAge`), see {@link PersistentStateCache}.
+	 * @param {boolean} [options.autoConnect=true] - Whether to connect right away. If false, call {@link MissionControlClient#connect} yourself.
+	 * @param {Transport} [options.transport] - The transport to talk to the server through. Defaults to a {@link SocketIOTransport} for the url.
+	 * @param {object} [options.connection] - Options for the default {@link SocketIOTransport}: `path`, the reconnection backoff
+	 * (`reconnection`, `reconnectionAttempts`, `reconnectionDelay`, `reconnectionDelayMax`) and `socketOptions` passed on to socket.io.
+	 * @param {Record<string, { state: object, updatedAt: number }>} [options.initialState] - State from {@link MissionControlClient#dehydrate},
+	 * e.g. rendered on the server, shown as stale state until the live state arrives.
+	 * @param {boolean} [options.validate=false] - Whether to check actions against the action catalogue of their service
+	 * before sending them, see {@link MissionControlClient#describe}.
+	 * @param {object|false} [options.rateLimit=false] - Throttle, debounce or coalesce actions (`policies`) and limit how many
+	 * are sent at once (`maxInFlight`), see {@link RateLimiter}.
 	 */
-	constructor(url, authToken, { logger } = {}) {
+	constructor(url, authToken, { logger, queue = {}, timeout = 30000, cache = false, autoConnect = true, transport, connection, initialState, validate = false, rateLimit = false } = {}) {
 		// URL and auth token are required parameters.
-		if (!url) throw new Error('You need to pass an URL.');
+		if (!url && !transport) throw new Error('You need to pass an URL.');
 		if (!authToken) throw new Error('You need to pass an Auth Token.');
+		if (transport && connection) throw new Error('The connection options only apply to the default transport, configure your transport instead.');
 
 		/**
 		 * The JWT authentication token that is used to authenticate.
-		 * @type {string}
+		 *
+		 * When using a token provider, this is the token it returned last (or `null` before the first authentication).
+		 *
+		 * @type {string|null}
+		 */
+		this.authToken = null;
+
+		/**
+		 * The function that provides a fresh token before every authentication.
+		 * @type {function(): Promise<string>|null}
+		 */
+		this._tokenProvider = null;
+
+		this._setTokenSource(authToken);
+
+		/**
+		 * The default time in ms to wait for the server to answer an emit, before rejecting
+		 * with a {@link SOCKET_ERROR}.ACTION_TIMEOUT error. 0 means waiting forever.
+		 * @type {number}
+		 * @since 1.2.0
+		 */
+		this.timeout = timeout;
+
+		/**
+		 * Whether actions are checked against the action catalogue of their service before they are sent.
+		 * @type {boolean}
+		 * @since 1.2.0
+		 */
+		this.validate = validate;
+
+		/**
+		 * The action catalogues we fetched or are fetching, by service.
+		 * @type {Record<string, { promise: Promise<ActionCatalogue>, value?: ActionCatalogue, error?: Error }>}
+		 */
+		this._catalogues = {};
+
+		/**
+		 * The schema patterns we already warned about, as we can't compile them.
+		 * @type {Set<string>}
+		 */
+		this._invalidPatterns = new Set();
+
+		/**
+		 * Why the last authentication failed, so waiting for the client can fail with it.
+		 * @type {AuthError|null}
 		 */
-		this.authToken = authToken;
+		this._authError = null;
 
 		/**
-		 * The socket.io socket used for the communication.
+		 * The running (or last) authentication after connecting, see {@link MissionControlClient#_onConnect}.
+		 * @type {Promise<void>|null}
+		 */
+		this._handshake = null;
+
+		/**
+		 * The transport used for the communication, see {@link Transport}.
+		 *
+		 * While it is possible it is recommended not to use this variable directly and to use the exposed {@link MissionControlClient#action} and {@link MissionControlClient#service} methods instead.
 		 *
-		 * While it is possible it is recommended not to use this variable directly and to use the exposed {@link MissionControlClient#action} and {@link MissionControlClient#subscribe} methods instead.
+		 * @type {Transport}
+		 * @since 1.2.0
+		 */
+		this.transport = transport || new SocketIOTransport(url, connection);
+
+		/**
+		 * The socket.io socket used for the communication, if the transport is a {@link SocketIOTransport}.
 		 *
-		 * @type socket.io-client~Socket
+		 * @type socket.io-client~Socket|null
 		 * @since 1.0.0
+		 * @deprecated Use {@link MissionControlClient#transport} instead.
 		 */
-		this.socket = socketIO(url, {
-			path: '/api/socket.io'
-		});
+		this.socket = this.transport.socket || null;
+
+		this._destroyed = false;
 
 		/**
 		 * The event bus used to communicate events within the client.
@@ -104,9 +241,27 @@ export class MissionControlClient {
 		 */
 		this.eventBus = nanobus();
 
-		this.ready = false;
+		/**
+		 * Listeners registered with a pattern like 'sync:*', see {@link MissionControlClient#on}.
+		 * @type {Array<{ pattern: string, regex: RegExp, listener: function }>}
+		 */
+		this._patternListeners = [];
 
-		this._services = {};
+		// We hijack the emit method of the event bus so
+		// pattern listeners get called for every event as well.
+		const busEmit = this.eventBus.emit;
+		this.eventBus.emit = (eventName, ...args) => {
+			busEmit.call(this.eventBus, eventName, ...args);
+			this._emitToPatterns(eventName, args);
+
+			return this.eventBus;
+		};
+
+		/**
+		 * The current connection status, see {@link MissionControlClient#status}.
+		 * @type {CONNECTION_STATUS}
+		 */
+		this._status = CONNECTION_STATUS.IDLE;
 
 		/** @type {Record<string, { listeners: number }>} */
 		this._services = {};
@@ -114,6 +269,27 @@ export class MissionControlClient {
 		/** @type {Record<string, object>} */
 		this._stateCache = {};
 
+		/** @type {Record<string, StateMeta>} */
+		this._stateMeta = {};
+
+		/**
+		 * The state version of every service, if the server sends versions.
+		 * @type {Record<string, number>}
+		 */
+		this._stateVersions = {};
+
+		/**
+		 * The services we requested a full resync for and are waiting on.
+		 * @type {Record<string, boolean>}
+		 */
+		this._resyncing = {};
+
+		/**
+		 * Optimistic updates that haven't been confirmed by a real sync yet.
+		 * @type {OptimisticUpdates}
+		 */
+		this._optimistic = new OptimisticUpdates();
+
 		const title = ['%cmission-control-client -', 'color:#a78bfa; font-weight: bold; cursor: default; pointer-events: none;user-select: none;'];
 		this.logger = logger || {
 			debug: (...args) => console.log(...title, ...args),
@@ -121,104 +297,312 @@ export class MissionControlClient {
 			error: (...args) => console.error(...title, ...args)
 		};
 
-		this._setupSocketHandlers();
+		/**
+		 * The queue for actions that are executed while the client is not ready.
+		 *
+		 * `null` if queueing was disabled with `queue: false`.
+		 *
+		 * @type {ActionQueue|null}
+		 * @since 1.2.0
+		 */
+		this.queue = queue === false
+			? null
+			: new ActionQueue(queue, this.eventBus, this.logger);
+
+		/**
+		 * Persists the state cache, so the state of services can be shown right away after a reload.
+		 *
+		 * `null` unless enabled with the `cache` option.
+		 *
+		 * @type {PersistentStateCache|null}
+		 * @since 1.2.0
+		 */
+		this.cache = cache
+			? new PersistentStateCache(cache, this.logger)
+			: null;
+
+		/**
+		 * Limits how often actions are sent.
+		 *
+		 * `null` unless enabled with the `rateLimit` option.
+		 *
+		 * @type {RateLimiter|null}
+		 * @since 1.2.0
+		 */
+		this.rateLimiter = rateLimit
+			? new RateLimiter(rateLimit, this.logger)
+			: null;
+
+		this._setupTransportHandlers();
 
 		autoBind(this);
+
+		if (initialState) this.hydrate(initialState);
+
+		if (autoConnect) {
+			this._setStatus(CONNECTION_STATUS.CONNECTING, 'connect');
+			this.transport.connect();
+		}
+
+		/**
+		 * Resolves once the persisted state cache was loaded.
+		 * @type {Promise<void>}
+		 */
+		this.hydrated = this._hydrateStateCache().catch(this.reportError);
 	}
 
 	/**
-	 * This function sets up all the listeners for the socket (connect, disconnect, error, reconnect, etc).
+	 * Connect, get the live state of a service and disconnect again.
 	 *
-	 * Job of this function is to unify all error events into a shape that makes more sense. See {@link SOCKET_ERROR} for the possible errors.
+	 * A shorthand for creating a client, calling {@link MissionControlClient#getState} and destroying it.
+	 *
+	 * @param {string} url - The mission control url.
+	 * @param {string|function(): Promise<string>} authToken - The token or a token provider.
+	 * @param {string} service - The service name.
+	 * @param {object} [options] - The `timeout` and `signal` for {@link MissionControlClient#getState}, plus any client option.
+	 * @return {Promise<object>} The state.
+	 *
+	 * @since 1.2.0
+	 * @example
+	 * export async function getServerSideProps() {
+	 * 	const lights = await MissionControlClient.fetchState(url, token, 'lights', { timeout: 3000 });
+	 *
+	 * 	return { props: { lights } };
+	 * }
 	 */
-	_setupSocketHandlers() {
-		// We hijack the on event method to call it again with the '*' event which now gets called on
-		// any event.
-		const socketOnEvent = this.socket.onevent;
-		this.socket.onevent = function(packet) {
-			const args = packet.data || [];
-			socketOnEvent.call(this, packet);
+	static async fetchState(url, authToken, service, { timeout, signal, ...options } = {}) {
+		const client = new MissionControlClient(url, authToken, {
+			queue: false,
+			...options,
+			autoConnect: false
+		});
 
-			packet.data = ['*'].concat(args);
-			socketOnEvent.call(this, packet); // additional call for "*" event
-		};
+		try {
+			return await client.getState(service, { timeout, signal });
+		} finally {
+			await client.destroy();
+		}
+	}
 
-		// This catches all other events and published them to our event bus
-		this.socket.on('*', (event, ...args) => {
-			// Here we only pass the event to our event bus if the events arent our
-			// own SocketEvents. If we wouldnt do this it would cause a collision
-			// where listeners would fire twice: once for the actual socket emit and once
-			// for our event bus. This bypasses this.
-			if (
-				!['connect', 'disconnect', 'reconnecting', 'error'].includes(
-					event
-				)
-			)
-				this.eventBus.emit(`internal:${event}`, ...args);
-		});
+	/**
+	 * The current connection status.
+	 * @type {CONNECTION_STATUS}
+	 * @since 1.2.0
+	 */
+	get status() {
+		return this._status;
+	}
 
-		// On connection we try to authenticate
-		this.socket.on('connect', async () => {
-			try {
-				this.ready = false;
+	/**
+	 * Whether the client is authenticated and can send actions.
+	 * @type {boolean}
+	 * @since 1.0.0
+	 */
+	get ready() {
+		return this._status === CONNECTION_STATUS.READY;
+	}
 
-				this.logger.debug('auth:start');
-				
-				const response = await this._socketEmit('authenticate', {
-					token: this.authToken
-				});
+	/**
+	 * Move to a new connection status and emit the 'status' event.
+	 * @protected
+	 * @param {CONNECTION_STATUS} status - The new status.
+	 * @param {string} [reason] - Why the status changed.
+	 */
+	_setStatus(status, reason) {
+		const previous = this._status;
 
-				this.ready = true;
-				
-				this.logger.debug('auth:complete', response);
-				this.logger.debug('ready');
+		if (previous === status) return;
 
-				// Re-Subscribe to all services after reconnect
-				for (const service in this._services) {
-					this.logger.debug('subscribe to service:', service);
+		this._status = status;
 
-					this._socketEmit('subscribe', { service })
-						.catch(this.reportError);
-				}
+		this.logger.debug('status:', previous, '->', status, reason);
+		this.eventBus.emit('status', status, previous, reason);
+	}
+
+	/**
+	 * Wait until the client is ready.
+	 *
+	 * Resolves right away if the client is already ready and rejects right away if the connection was closed
+	 * or the server didn't accept the token.
+	 *
+	 * @param {object} [options]
+	 * @param {number} [options.timeout] - The time in ms to wait. Waits forever if not set.
+	 * @param {AbortSignal} [options.signal] - Signal to stop waiting.
+	 * @return {Promise<void>}
+	 * @throws {TimeoutError} If the client didn't get ready in time.
+	 * @throws {AuthError} If the authentication failed.
+	 * @throws {MissionControlError} If the connection was closed or waiting was aborted.
+	 *
+	 * @since 1.2.0
+	 * @example
+	 * await client.whenReady({ timeout: 5000 });
+	 * await client.action('lights', 'TOGGLE');
+	 */
+	whenReady({ timeout, signal } = {}) {
+		if (this.ready) return Promise.resolve();
 
-				// // While we still have events to unsubscribe from, do so on connect
-				// while (this._unsubscribeFrom.length > 0) {
-				// 	this._socketEmit('unsubscribe', {
-				// 		service: this._unsubscribeFrom.shift()
-				// 	}).then(console.info).catch(console.error);
-				// }
+		if (this._status === CONNECTION_STATUS.CLOSED) {
+			return Promise.reject(new MissionControlError('The connection is closed.', {
+				type: SOCKET_ERROR.GENERAL
+			}));
+		}
 
-				// We simplify the event structure here, by emitting a 'connect' event rather than a 'ready' event.
-				// This essentially hides the implementation details of the authentication flow from the client user
-				// which is what we're aiming for by making the client simple.
+		if (this._status === CONNECTION_STATUS.AUTH_FAILED) return Promise.reject(this._authError);
 
-				this.eventBus.emit('connect');
-			} catch (e) {
-				this.ready = false;
+		return new Promise((resolve, reject) => {
+			let timer = null;
+
+			const cleanup = () => {
+				clearTimeout(timer);
+				this.eventBus.removeListener('status', onStatus);
+
+				if (signal) signal.removeEventListener('abort', onAbort);
+			};
+
+			const onStatus = (status, previous, reason) => {
+				if (status === CONNECTION_STATUS.READY) {
+					cleanup();
+					resolve();
+				} else if (status === CONNECTION_STATUS.CLOSED) {
+					cleanup();
+					reject(new MissionControlError(`The connection was closed (${reason}).`, {
+						type: SOCKET_ERROR.GENERAL
+					}));
+				} else if (status === CONNECTION_STATUS.AUTH_FAILED) {
+					cleanup();
+					reject(this._authError);
+				}
+			};
+
+			const onAbort = () => {
+				cleanup();
+				reject(new MissionControlError('Waiting for the client to get ready was aborted.', {
+					type: SOCKET_ERROR.ACTION_ABORTED
+				}));
+			};
 
-				this.eventBus.emit('error', SOCKET_ERROR.AUTH_FAILED, e);
+			if (signal && signal.aborted) return onAbort();
+
+			if (timeout > 0) {
+				timer = setTimeout(() => {
+					cleanup();
+					reject(new TimeoutError(`The client didn't get ready within ${timeout}ms.`));
+				}, timeout);
 			}
+
+			if (signal) signal.addEventListener('abort', onAbort);
+			this.eventBus.on('status', onStatus);
 		});
+	}
 
-		// On disconnect from server, reason can either be server disconnect, client disconnect or ping timeout.
-		this.socket.on('disconnect', reason => {
-			let disconnectReason;
-
-			switch (reason) {
-				case 'io server disconnect':
-					disconnectReason = DISCONNECT_REASON.SERVER_DISCONNECT;
-					break;
-				case 'io client disconnect':
-					disconnectReason = DISCONNECT_REASON.CLIENT_DISCONNECT;
-					break;
-				case 'ping timeout':
-					disconnectReason = DISCONNECT_REASON.CLIENT_DISCONNECT;
-					break;
-				default:
-					disconnectReason = DISCONNECT_REASON.UNKNOWN;
-			}
+	/**
+	 * Load the persisted state cache into the in-memory state cache.
+	 *
+	 * Listeners that are already registered get the loaded state as stale state for first paint.
+	 *
+	 * @protected
+	 */
+	async _hydrateStateCache() {
+		if (!this.cache) return;
+
+		this.hydrate(await this.cache.load());
+	}
+
+	/**
+	 * Get the confirmed state of all services, e.g. to render it on the server and pass it to the browser client.
+	 *
+	 * Pending optimistic updates are left out. The result can be serialized with `JSON.stringify`.
+	 *
+	 * @return {Record<string, { state: object, updatedAt: number }>} The state and the time it was received, by service.
+	 *
+	 * @since 1.2.0
+	 * @example
+	 * // On the server
+	 * const initialState = JSON.stringify(client.dehydrate());
+	 *
+	 * // In the browser
+	 * const client = new MissionControlClient(url, token, { initialState: JSON.parse(initialState) });
+	 */
+	dehydrate() {
+		const entries = {};
+
+		for (const service in this._stateCache) {
+			const meta = this._stateMeta[service];
+
+			entries[service] = {
+				state: this._optimistic.confirmedState(service, this._stateCache[service]),
+				updatedAt: meta ? meta.updatedAt : Date.now()
+			};
+		}
+
+		return entries;
+	}
+
+	/**
+	 * Load state from {@link MissionControlClient#dehydrate} into the state cache.
+	 *
+	 * The state is stale until the server confirms it. Services we already have state for are left alone,
+	 * as that state is at least as recent. Listeners that are already registered get the loaded state.
+	 *
+	 * @param {Record<string, { state: object, updatedAt: number }>} entries
+	 *
+	 * @since 1.2.0
+	 */
+	hydrate(entries) {
+		for (const service in entries) {
+			// A real sync might have been faster
+			if (service in this._stateCache) continue;
+
+			this.logger.debug('hydrated cached state for service', service);
+
+			this._stateMeta[service] = { stale: true, updatedAt: entries[service].updatedAt };
+			this._setState(service, entries[service].state);
+		}
+	}
+
+	/**
+	 * Listen to an event the server sent, directly on the transport.
+	 * @protected
+	 * @param {string} name
+	 * @param {function(...args: any)} listener
+	 */
+	_onTransportEvent(name, listener) {
+		this.transport.on('event', (event, ...args) => {
+			if (event === name) listener(...args);
+		});
+	}
+
+	/**
+	 * This function sets up all the listeners for the transport (connect, disconnect, error, reconnect, etc).
+	 *
+	 * Job of this function is to unify all error events into a shape that makes more sense. See {@link SOCKET_ERROR} for the possible errors.
+	 */
+	_setupTransportHandlers() {
+		// Every event the server sends is published on our event bus, prefixed so it can't collide with our own events
+		this.transport.on('event', (event, ...args) => {
+			this.eventBus.emit(`internal:${event}`, ...args);
+		});
+
+		// On connection we try to authenticate
+		this.transport.on('connect', () => {
+			this._handshake = this._onConnect();
+
+			// Errors are already emitted on the event bus
+			this._handshake.catch(() => {});
+		});
 
-			this.ready = false;
+		// On disconnect, the transport already tells us the reason as a DISCONNECT_REASON.
+		this.transport.on('disconnect', disconnectReason => {
+			// Transports only reconnect on their own if the connection was lost, not if it was closed on purpose
+			this._setStatus(
+				this.transport.active ? CONNECTION_STATUS.RECONNECTING : CONNECTION_STATUS.CLOSED,
+				disconnectReason
+			);
+
+			// Without a connection we can't be sure the state is still up to date
+			for (const service in this._stateMeta) {
+				this._stateMeta[service] = { ...this._stateMeta[service], stale: true };
+			}
 
 			this.eventBus.emit('disconnect', disconnectReason);
 		});
@@ -229,28 +613,20 @@ export class MissionControlClient {
 		 * On successful reconnect, attempt is the amount of attempts needed for the reconnect.
 		 * As of right now, not really needed for anything,
 		 * as the connect event fires on every successful connect, even reconnects.
-		 * this.socket.on('reconnect', attempt => {});
 		 */
 
 		// On reconnect attempt, attempt is the current attempt number
-		this.socket.on('reconnect_attempt', attempt => {
-			this.ready = false;
+		this.transport.on('reconnect_attempt', attempt => {
+			this._setStatus(CONNECTION_STATUS.RECONNECTING, `attempt ${attempt}`);
 			this.eventBus.emit('reconnecting', attempt);
 		});
 
 		/*
 		 * SYNC
 		 */
-		this.socket.on('sync', ({ service: serviceName, state }) => {
+		this._onTransportEvent('sync', message => {
 			try {
-				this.logger.debug('sync – service:', serviceName, 'state:', state);
-
-				if (!this._services[serviceName]) {
-					return this.logger.warn('received sync update for unsubscribed service', serviceName, state);
-				}
-
-				this._stateCache[serviceName] = state;
-				this.eventBus.emit(`sync:${serviceName}`, state);
+				this._handleSync(message);
 			} catch (e) {
 				this.reportError(e);
 			}
@@ -262,95 +638,523 @@ export class MissionControlClient {
 		this._setupErrorHandlers();
 	}
 
-	_setupErrorHandlers() {
-		// On a general connection error, the error object is the error thrown
-		this.socket.on('connect_error', error => {
-			this.ready = false;
+	/**
+	 * Authenticate after connecting and get everything ready.
+	 *
+	 * Once authenticated, we re-subscribe to all services, emit the 'connect' event and replay the offline queue.
+	 *
+	 * @protected
+	 * @throws {AuthError} If the authentication failed. The error has already been emitted on the event bus.
+	 */
+	async _onConnect() {
+		try {
+			this._setStatus(CONNECTION_STATUS.AUTHENTICATING, 'connect');
 
-			// TODO: determine errorType
-			this.eventBus.emit('error', SOCKET_ERROR.GENERAL, error);
-		});
+			const response = await this._authenticate();
 
-		// On a ping/connection timeout error, the timeout object is IDK what
-		// TODO: what is the timeout object?
-		this.socket.on('connect_timeout', timeout => {
-			this.ready = false;
+			this.logger.debug('auth:complete', response);
 
-			this.eventBus.emit('error', SOCKET_ERROR.TIMEOUT, timeout);
-		});
+			// Re-Subscribe to all services after reconnect.
+			// The server sends the full state again, so pending resyncs are obsolete.
+			// This happens before we're ready, so services added by 'status' listeners aren't subscribed twice.
+			this._resyncing = {};
 
-		// Called when we can't authenticate because of an invalid auth token or because
-		// the client took too long to authenticate.
-		this.socket.on('authentication_timeout', ({ error }) => {
-			this.ready = false;
+			for (const service in this._services) {
+				this._subscribe(service);
+			}
 
-			this.eventBus.emit('error', SOCKET_ERROR.AUTH_TIMEOUT, error);
-		});
+			this._setStatus(CONNECTION_STATUS.READY, 'authenticated');
 
-		// On reconnect error, dont know if needed for now
-		// this.socket.on('reconnect_error', error => {});
+			this.logger.debug('ready');
 
-		// On reconnection failed, fired becayse we run out of attempts
-		// and not because there is an error in the connection
-		this.socket.on('reconnect_failed', () => {
-			this.ready = false;
+			// // While we still have events to unsubscribe from, do so on connect
+			// while (this._unsubscribeFrom.length > 0) {
+			// 	this._socketEmit('unsubscribe', {
+			// 		service: this._unsubscribeFrom.shift()
+			// 	}).then(console.info).catch(console.error);
+			// }
 
-			this.eventBus.emit('error', SOCKET_ERROR.NO_ATTEMPTS_LEFT);
-		});
+			// We simplify the event structure here, by emitting a 'connect' event rather than a 'ready' event.
+			// This essentially hides the implementation details of the authentication flow from the client user
+			// which is what we're aiming for by making the client simple.
+
+			this.eventBus.emit('connect');
+
+			// Now that everyone knows we're connected, send everything that piled up while we weren't.
+			this._flushQueue();
+		} catch (error) {
+			// The connection might have been lost while authenticating, then the disconnect handler already took care of the status
+			if (this.transport.connected) this._authFailed(error);
+
+			this.eventBus.emit('error', error.type, error);
+
+			throw error;
+		}
 	}
 
 	/**
-	 * Internal socket emit helper
-	 * @async
+	 * Remember why the authentication failed and change the status accordingly.
 	 * @protected
-	 * @param  {string} event Event to emit
-	 * @param  {[type]} data  Data to send
-	 * @return {object}       Response data
-	 * @throws Error
+	 * @param {AuthError} error
 	 */
-	_socketEmit(event, data) {
-		return new Promise((resolve, reject) => {
-			this.socket.emit(event, data, (response) => {
-				if (response.error) {
-					return reject(response.error);
-				}
-
-				resolve(response);
-			});
-		});
-
+	_authFailed(error) {
+		this._authError = error;
+		this._setStatus(CONNECTION_STATUS.AUTH_FAILED, error.message);
 	}
 
 	/**
-	 * Listen to a socket event.
-	 *
-	 * Please note, if you want to subscribe to action or state events, please use the {@link subscribe} method.
-	 * The returned function can be used to unsubscribe from the event listener again.
-	 * This makes it possible to for example remove inline listeners.
+	 * Send the 'authenticate' event with a (fresh) token.
 	 *
-	 * @param {string} event - The socket event you want to listen to.
-	 * @param {function(data: object)} listener - The listener function that will be called on event.
-	 * @return {function} Returns a function which you can use to remove the event listener.
+	 * If the server rejects the token and we have a token provider, we ask it for a fresh token
+	 * and try once more before giving up.
 	 *
-	 * @since 1.0.0
-	 * @example
-	 * on('connect', () => {})
-	 * on('error', (errorType, errorObject) => {})
+	 * @protected
+	 * @return {Promise<object>} The server response.
+	 * @throws {AuthError}
 	 */
-	on(event, listener) {
-		this.eventBus.on(event, listener);
+	async _authenticate() {
+		this.logger.debug('auth:start');
 
-		return () => this.eventBus.removeListener(event, listener);
-	}
+		try {
+			try {
+				return await this._socketEmit('authenticate', {
+					token: await this._getToken()
+				});
+			} catch (e) {
+				// Only a rejection by the server is worth retrying, a new token won't fix a timeout.
+				if (!(e instanceof ActionError) || !this._tokenProvider) throw e;
 
-	/**
-	 * Listen to a socket event, and clear it after it's been called once.
-	 *
-	 * Please note, if you want to subscribe to action or state events, please use the {@link subscribe} method.
+				this.logger.warn('auth:retry – server rejected token, retrying with a fresh one', e.message);
+
+				return await this._socketEmit('authenticate', {
+					token: await this._getToken()
+				});
+			}
+		} catch (e) {
+			throw new AuthError(`Authentication failed: ${e.message}`, {
+				code: e.code,
+				payload: e.payload,
+				cause: e
+			});
+		}
+	}
+
+	/**
+	 * Get the token to authenticate with, asking the token provider for a fresh one if there is one.
+	 * @protected
+	 * @return {Promise<string>}
+	 */
+	async _getToken() {
+		if (this._tokenProvider) {
+			const token = await this._tokenProvider();
+
+			if (!token) throw new Error('The token provider did not return a token.');
+
+			this.authToken = token;
+		}
+
+		return this.authToken;
+	}
+
+	/**
+	 * @param {string|function(): Promise<string>} authToken
+	 */
+	_setTokenSource(authToken) {
+		if (typeof authToken === 'function') {
+			this._tokenProvider = authToken;
+		} else {
+			this._tokenProvider = null;
+			this.authToken = authToken;
+		}
+	}
+
+	/**
+	 * Change the token (or token provider) and re-authenticate with it.
+	 *
+	 * If the socket is currently connected, it is re-authenticated in place, so subscriptions and
+	 * the state cache are kept. If not, the new token is used on the next connect. If the client is
+	 * authenticating right now, we wait for that to finish before authenticating with the new token.
+	 *
+	 * @param {string|function(): Promise<string>} authToken - The new token or token provider.
+	 * @return {Promise<void>} Resolves once re-authenticated.
+	 * @throws {AuthError} If the server rejected the new token.
+	 *
+	 * @since 1.2.0
+	 * @example
+	 * await client.setToken(newToken);
+	 */
+	async setToken(authToken) {
+		if (!authToken) throw new Error('You need to pass an Auth Token.');
+
+		this._setTokenSource(authToken);
+
+		if (!this.transport.connected) return;
+
+		// A second handshake would subscribe everything twice. We let the running one finish instead,
+		// it might have sent the old token already, so we authenticate again with the new one afterwards.
+		if (this._status === CONNECTION_STATUS.AUTHENTICATING) {
+			await this._handshake.catch(() => {});
+
+			if (!this.transport.connected) return;
+		}
+
+		// If we never got ready (e.g. the old token was rejected), this is basically a fresh connect.
+		if (!this.ready) {
+			this._handshake = this._onConnect();
+			await this._handshake;
+			return;
+		}
+
+		try {
+			await this._authenticate();
+
+			this.logger.debug('auth:refreshed');
+		} catch (error) {
+			if (this.transport.connected) this._authFailed(error);
+
+			this.eventBus.emit('error', error.type, error);
+
+			throw error;
+		}
+	}
+
+	_setupErrorHandlers() {
+		// On a general connection error, the error object is the error thrown
+		this.transport.on('connect_error', error => {
+			// If the transport gives up (e.g. socket.io was rejected by a middleware), it won't try again
+			if (!this.transport.active) {
+				this._setStatus(CONNECTION_STATUS.CLOSED, error.message);
+			}
+
+			// TODO: determine errorType
+			const transportError = new TransportError(`Connection error: ${error.message}`, {
+				payload: error.data,
+				cause: error
+			});
+
+			this.eventBus.emit('error', transportError.type, transportError);
+		});
+
+		// Called when we can't authenticate because of an invalid auth token or because
+		// the client took too long to authenticate.
+		this._onTransportEvent('authentication_timeout', ({ error: serverError } = {}) => {
+			const error = AuthError.fromResponse(serverError || 'Authentication timed out.', {
+				type: SOCKET_ERROR.AUTH_TIMEOUT
+			});
+
+			this._authFailed(error);
+
+			this.eventBus.emit('error', error.type, error);
+		});
+
+		// On reconnection failed, fired becayse we run out of attempts
+		// and not because there is an error in the connection
+		this.transport.on('reconnect_failed', () => {
+			this._setStatus(CONNECTION_STATUS.CLOSED, SOCKET_ERROR.NO_ATTEMPTS_LEFT);
+
+			const error = new TransportError('Could not reconnect, no attempts left.', {
+				type: SOCKET_ERROR.NO_ATTEMPTS_LEFT
+			});
+
+			this.eventBus.emit('error', error.type, error);
+		});
+	}
+
+	/**
+	 * Emit an event to the server and wait for its acknowledgement.
+	 *
+	 * Resolves with the raw response, even if it contains an error.
+	 * Rejects with a {@link TimeoutError} if the server doesn't answer in time
+	 * and with a {@link MissionControlError} of type {@link SOCKET_ERROR}.ACTION_ABORTED if the signal is aborted.
+	 * Rejects with a {@link TransportError} if the transport has no connection or loses it before the answer arrives.
+	 *
+	 * @protected
+	 * @param  {string} event Event to emit
+	 * @param  {object} data  Data to send
+	 * @param  {object} [options]
+	 * @param  {number} [options.timeout] Time in ms to wait for the response. Defaults to the client timeout, 0 waits forever.
+	 * @param  {AbortSignal} [options.signal] Signal to cancel waiting for the response.
+	 * @return {Promise<object>} Response data
+	 */
+	_emit(event, data, { timeout = this.timeout, signal } = {}) {
+		// Errors carry the service and action names, if the emit is about one.
+		const details = {
+			service: data && data.service,
+			action: data && data.action
+		};
+
+		const abortError = () => new MissionControlError(`'${event}' was aborted.`, {
+			...details,
+			type: SOCKET_ERROR.ACTION_ABORTED
+		});
+
+		return new Promise((resolve, reject) => {
+			if (signal && signal.aborted) {
+				return reject(abortError());
+			}
+
+			let timer = null;
+
+			const onAbort = () => {
+				cleanup();
+				reject(abortError());
+			};
+
+			const cleanup = () => {
+				clearTimeout(timer);
+
+				if (signal) signal.removeEventListener('abort', onAbort);
+			};
+
+			if (timeout > 0) {
+				timer = setTimeout(() => {
+					cleanup();
+					reject(new TimeoutError(`'${event}' timed out after ${timeout}ms.`, details));
+				}, timeout);
+			}
+
+			if (signal) signal.addEventListener('abort', onAbort);
+
+			// A late response after a timeout or abort is simply ignored, as the promise is already settled.
+			this.transport.emit(event, data, (response) => {
+				cleanup();
+
+				// The transport couldn't deliver the event or lost the connection before the answer arrived
+				if (response instanceof TransportError) {
+					return reject(new TransportError(response.message, { ...details, cause: response }));
+				}
+
+				resolve(response);
+			});
+		});
+	}
+
+	/**
+	 * Connect to the server.
+	 *
+	 * Only needed if the client was created with `autoConnect: false` or after {@link MissionControlClient#close}.
+	 * Use {@link MissionControlClient#whenReady} to wait for the connection.
+	 *
+	 * @since 1.2.0
+	 * @example
+	 * const client = new MissionControlClient(url, token, { autoConnect: false });
+	 *
+	 * client.connect();
+	 * await client.whenReady();
+	 */
+	connect() {
+		if (this._destroyed) throw new Error('The client was destroyed and cannot connect again.');
+
+		if (this.transport.active) return;
+
+		this._setStatus(CONNECTION_STATUS.CONNECTING, 'connect');
+		this.transport.connect();
+	}
+
+	/**
+	 * Close the connection to the server.
+	 *
+	 * All subscribed services are unsubscribed on the server before disconnecting. The local listeners and the
+	 * state cache are kept, so calling {@link MissionControlClient#connect} later picks up where we left off.
+	 *
+	 * @param {object} [options]
+	 * @param {number} [options.timeout] - The time in ms to wait for the server to confirm the unsubscriptions.
+	 * @return {Promise<void>} Resolves once disconnected.
+	 *
+	 * @since 1.2.0
+	 * @example
+	 * await client.close();
+	 */
+	async close({ timeout } = {}) {
+		if (this.ready) {
+			// A failed unsubscribe doesn't matter much, the server cleans up once we disconnect anyway
+			await Promise.all(
+				Object.keys(this._services).map(service =>
+					this._socketEmit('unsubscribe', { service }, { timeout })
+						.catch(e => this.logger.warn('could not unsubscribe from service', service, e))
+				)
+			);
+		}
+
+		this.transport.close();
+
+		// If we weren't connected, there's no 'disconnect' event to take care of this
+		this._setStatus(CONNECTION_STATUS.CLOSED, 'close');
+	}
+
+	/**
+	 * Close the connection and free everything the client holds on to.
+	 *
+	 * All event listeners are removed and the service subscriptions, state cache and pending optimistic
+	 * updates are dropped. Actions still waiting in the offline queue are rejected, but stay persisted
+	 * in the queue store. The client can't be used anymore afterwards.
+	 *
+	 * Useful in components that create a client on mount and need to clean up on unmount.
+	 *
+	 * @param {object} [options] - See {@link MissionControlClient#close}.
+	 * @return {Promise<void>} Resolves once everything is cleaned up.
+	 *
+	 * @since 1.2.0
+	 * @example
+	 * useEffect(() => {
+	 * 	const client = new MissionControlClient(url, token);
+	 * 	return () => client.destroy();
+	 * }, []);
+	 */
+	async destroy(options) {
+		if (this._destroyed) return;
+
+		await this.close(options);
+
+		this._destroyed = true;
+
+		const dropped = new MissionControlError('The client was destroyed.', {
+			type: SOCKET_ERROR.ACTION_DROPPED
+		});
+
+		if (this.queue) this.queue.rejectPending(dropped);
+		if (this.rateLimiter) this.rateLimiter.clear(dropped);
+
+		this.eventBus.removeAllListeners();
+		this._patternListeners = [];
+		this.transport.removeAllListeners();
+
+		this._services = {};
+		this._stateCache = {};
+		this._stateMeta = {};
+		this._stateVersions = {};
+		this._resyncing = {};
+		this._catalogues = {};
+		this._optimistic = new OptimisticUpdates();
+	}
+
+	/**
+	 * Internal socket emit helper
+	 * @async
+	 * @protected
+	 * @param  {string} event Event to emit
+	 * @param  {[type]} data  Data to send
+	 * @param  {object} [options] Timeout and abort signal, see {@link MissionControlClient#_emit}.
+	 * @return {object}       Response data
+	 * @throws {ActionError} If the server responded with an error.
+	 * @throws {TimeoutError} If the server didn't respond in time.
+	 */
+	async _socketEmit(event, data, options) {
+		const response = await this._emit(event, data, options);
+
+		if (response.error) {
+			throw ActionError.fromResponse(response.error, {
+				service: data && data.service
+			});
+		}
+
+		return response;
+	}
+
+	/**
+	 * Listen to a socket event.
+	 *
+	 * Please note, if you want to subscribe to action or state events, please use the {@link subscribe} method.
 	 * The returned function can be used to unsubscribe from the event listener again.
 	 * This makes it possible to for example remove inline listeners.
 	 *
-	 * @param {string} event - The socket event you want to listen to.
+	 * The event can also be a pattern like 'sync:*', where `*` matches any characters (including ':').
+	 * As multiple events can match, pattern listeners receive the name of the event as their first argument.
+	 *
+	 * @param {string} event - The socket event or event pattern you want to listen to.
+	 * @param {function(data: object)} listener - The listener function that will be called on event.
+	 * @return {function} Returns a function which you can use to remove the event listener.
+	 *
+	 * @since 1.0.0
+	 * @example
+	 * on('connect', () => {})
+	 * on('error', (errorType, errorObject) => {})
+	 * on('sync:*', (event, state) => {})
+	 * on('internal:notification:*', (event, notification) => {})
+	 */
+	on(event, listener) {
+		if (isPattern(event)) {
+			const entry = { pattern: event, regex: compilePattern(event), listener };
+			this._patternListeners.push(entry);
+
+			return () => {
+				this._patternListeners = this._patternListeners.filter(other => other !== entry);
+			};
+		}
+
+		this.eventBus.on(event, listener);
+
+		return () => this.eventBus.removeListener(event, listener);
+	}
+
+	/**
+	 * Listen to every event the client emits.
+	 *
+	 * The listener receives the name of the event, followed by its arguments.
+	 * This is the same as listening to the '*' pattern.
+	 *
+	 * @param {function(event: string, ...args: any)} listener - The listener function that will be called on every event.
+	 * @return {function} Returns a function which you can use to remove the event listener.
+	 *
+	 * @since 1.2.0
+	 * @example
+	 * client.onAny((event, ...args) => console.log(event, args));
+	 */
+	onAny(listener) {
+		return this.on('*', listener);
+	}
+
+	/**
+	 * Listen to an event the server sent.
+	 *
+	 * Every event the server sends is emitted on the event bus as 'internal:<event>', this is a shorthand
+	 * so you don't have to rely on that prefix. Patterns work here as well.
+	 *
+	 * @param {string} event - The server event or event pattern you want to listen to.
+	 * @param {function(...args: any)} listener - The listener function that will be called on event.
+	 * @return {function} Returns a function which you can use to remove the event listener.
+	 *
+	 * @since 1.2.0
+	 * @example
+	 * client.onServerEvent('notification:created', notification => {});
+	 * client.onServerEvent('notification:*', (event, notification) => {});
+	 */
+	onServerEvent(event, listener) {
+		if (isPattern(event)) {
+			// Pattern listeners get the server's event name, without our prefix
+			return this.on(`internal:${event}`, (eventName, ...args) =>
+				listener(eventName.slice('internal:'.length), ...args)
+			);
+		}
+
+		return this.on(`internal:${event}`, listener);
+	}
+
+	/**
+	 * Call the pattern listeners that match an event.
+	 * @protected
+	 * @param {string} eventName
+	 * @param {Array<any>} args
+	 */
+	_emitToPatterns(eventName, args) {
+		if (this._patternListeners.length === 0) return;
+
+		// Listeners might remove themselves while we're looping
+		for (const { regex, listener } of this._patternListeners.slice()) {
+			if (regex.test(eventName)) {
+				listener(eventName, ...args);
+			}
+		}
+	}
+
+	/**
+	 * Listen to a socket event, and clear it after it's been called once.
+	 *
+	 * Please note, if you want to subscribe to action or state events, please use the {@link subscribe} method.
+	 * The returned function can be used to unsubscribe from the event listener again.
+	 * This makes it possible to for example remove inline listeners.
+	 *
+	 * @param {string} event - The socket event or event pattern you want to listen to, see {@link MissionControlClient#on}.
 	 * @param {function(data: object)} listener - The listener function that will be called on event once.
 	 * @return {function} Returns a function which you can use to remove the event listener.
 	 *
@@ -359,6 +1163,15 @@ export class MissionControlClient {
 	 * once('connect', (data) => {})
 	 */
 	once(event, listener) {
+		if (isPattern(event)) {
+			const off = this.on(event, (...args) => {
+				off();
+				listener(...args);
+			});
+
+			return off;
+		}
+
 		this.eventBus.once(event, listener);
 
 		return () => this.eventBus.removeListener(event, listener);
@@ -373,8 +1186,9 @@ export class MissionControlClient {
 	 * the server, this function also handles resubscribing to the events.
 	 * It returns a function that can you can use to remove the event listener again and unsubscribe from the server.
 	 *
-	 * @param {string} serverEvent - This is the server event you want to subscribe to. Keep in mind these are not general socket events, but rather state / action Mission Control events.
-	 * @param {function(data: object)} listener - The listener function that will be called on event.
+	 * @param {string} name - The name of the service you want to subscribe to.
+	 * @param {function(state: object, meta: StateMeta)} listener - The listener function that will be called on every sync.
+	 * The {@link StateMeta} tells if the state is stale (from the cache) or live.
 	 * @return {function} Returns a function which you can use to remove the event listener.
 	 *
 	 * @since 1.0.0
@@ -383,9 +1197,9 @@ export class MissionControlClient {
 	 * client.subscribe('update:stateObject', (data) => {});
 	 */
 	service(name, listener) {
-		const errorHandledListener = async (state) => {
+		const errorHandledListener = async (state, meta) => {
 			try {
-				await listener(state);
+				await listener(state, meta);
 			} catch (e) {
 				this.logger.error('error in service state handler ' + name, e);
 
@@ -399,7 +1213,7 @@ export class MissionControlClient {
 		const staleState = this._stateCache[name];
 		if (staleState) {
 			this.logger.debug('found stale state for service', name);
-			errorHandledListener(staleState);
+			errorHandledListener(staleState, this._stateMeta[name]);
 		}
 
 		if (name in this._services) {
@@ -417,29 +1231,37 @@ export class MissionControlClient {
 			// However this listener is registered in this._services now
 			// so on next automatic resubscribe (after disconnect) it will be included.
 			if (this.ready) {
-				this.logger.debug('subscribe to service:', name);
-
-				this._socketEmit('subscribe', {
-					service: name
-				}).catch(this.reportError);
+				this._subscribe(name);
 			}
 		}
 
+		let subscribed = true;
+
 		const unsubscribe = () => {
+			// Calling it twice would mess up the listener count
+			if (!subscribed) return;
+			subscribed = false;
+
 			this.logger.debug('listener unsubscribed from service', name);
 
-			this.eventBus.removeListener(`sync:${name}`, listener);
+			this.eventBus.removeListener(`sync:${name}`, errorHandledListener);
 			this._services[name].listeners--;
 
 			if (this._services[name].listeners <= 0) {
 				this.logger.debug('removing service from sync', name);
 
 				delete this._services[name];
+				delete this._stateVersions[name];
+				delete this._resyncing[name];
+				this._optimistic.clear(name);
 
-				if (this.socket.ready) {
+				if (this.ready) {
 					this._socketEmit('unsubscribe', {
 						service: name
-					}).catch(this.reportError);
+					}).catch(error => {
+						// The server forgets our subscriptions anyway once the connection is gone, e.g. after getState()
+						if (!(error instanceof TransportError)) this.reportError(error);
+					});
 				}
 			}
 		};
@@ -450,52 +1272,729 @@ export class MissionControlClient {
 
 		return {
 			get ready() {
-				return _this._stateCache[name] !== null;
+				return _this._stateCache[name] != null;
 			},
-			async action(actionName, data) {
-				await _this.action(name, actionName, data);
+			action(actionName, data, options) {
+				return _this.action(name, actionName, data, options);
 			},
 			get state() {
 				return _this._stateCache[name] || null;
 			},
+			get stale() {
+				return !_this._stateMeta[name] || _this._stateMeta[name].stale;
+			},
 			unsubscribe
 		}
 	}
 
+	/**
+	 * Listen to a part of a service's state.
+	 *
+	 * The selector picks the part you're interested in and the listener is only called when that part
+	 * actually changed, compared to the last time it was called. Uses the same subscription as
+	 * {@link MissionControlClient#service}, so selecting multiple parts of a service doesn't cause extra server traffic.
+	 *
+	 * @param {string} name - The service name.
+	 * @param {function(state: object): any} selector - Picks the part of the state you want to listen to.
+	 * @param {function(selected: any, meta: StateMeta)} listener - Called with the selected part whenever it changes.
+	 * @param {object} [options]
+	 * @param {string|function(a: any, b: any): boolean} [options.equals='shallow'] - How to compare the selected parts:
+	 * 'strict' (by reference), 'shallow' (direct children by reference), 'deep' or a custom function.
+	 * @return {{ value: any, unsubscribe: function }} The currently selected part and a function to stop listening.
+	 *
+	 * @since 1.2.0
+	 * @example
+	 * const brightness = client.select('lights', state => state.brightness, value => {});
+	 * const kitchen = client.select('lights', state => state.rooms.kitchen, room => {}, { equals: 'deep' });
+	 *
+	 * brightness.unsubscribe();
+	 */
+	select(name, selector, listener, { equals = 'shallow' } = {}) {
+		const isEqual = typeof equals === 'function'
+			? equals
+			: EQUALITY[equals];
+
+		if (!isEqual) throw new Error(`Unknown equality check '${equals}'.`);
+
+		let hasValue = false;
+		let selected;
+
+		const handle = this.service(name, (state, meta) => {
+			const next = selector(state);
+
+			if (hasValue && isEqual(selected, next)) return;
+
+			hasValue = true;
+			selected = next;
+
+			return listener(next, meta);
+		});
+
+		return {
+			get value() {
+				return selected;
+			},
+			unsubscribe: handle.unsubscribe
+		};
+	}
+
+	/**
+	 * Get the live state of a service once, without keeping a subscription.
+	 *
+	 * Subscribes to the service, resolves with the first state the server sends and unsubscribes again,
+	 * unless other {@link MissionControlClient#service} listeners hold on to it. If the client wasn't connected,
+	 * it connects and disconnects again afterwards, as long as no service is subscribed anymore.
+	 *
+	 * Useful for server side rendering and serverless functions, see also {@link MissionControlClient.fetchState}.
+	 *
+	 * @param {string} name - The service name.
+	 * @param {object} [options]
+	 * @param {number} [options.timeout] - The time in ms to wait for the state, including connecting. Defaults to the client timeout.
+	 * @param {AbortSignal} [options.signal] - Signal to stop waiting.
+	 * @return {Promise<object>} The state.
+	 * @throws {TimeoutError} If the state didn't arrive in time.
+	 * @throws {ActionError} If the server refused the subscription, e.g. for an unknown service.
+	 * @throws {AuthError} If the server didn't accept the token.
+	 * @throws {MissionControlError} If the connection was closed or waiting was aborted.
+	 *
+	 * @since 1.2.0
+	 * @example
+	 * const lights = await client.getState('lights', { timeout: 5000 });
+	 */
+	async getState(name, { timeout = this.timeout, signal } = {}) {
+		// If we're the ones connecting, we're also the ones disconnecting
+		const connecting = !this.transport.active;
+
+		if (connecting) this.connect();
+
+		try {
+			return await this._nextState(name, { timeout, signal });
+		} finally {
+			if (connecting && Object.keys(this._services).length === 0) {
+				await this.close();
+			}
+		}
+	}
+
+	/**
+	 * Wait for the live state of a service.
+	 * @protected
+	 * @param {string} name
+	 * @param {object} options - See {@link MissionControlClient#getState}.
+	 * @return {Promise<object>}
+	 */
+	_nextState(name, { timeout, signal }) {
+		return new Promise((resolve, reject) => {
+			let timer = null;
+			let handle = null;
+			let settled = false;
+
+			const settle = (callback, value) => {
+				if (settled) return;
+				settled = true;
+
+				clearTimeout(timer);
+				offError();
+				offStatus();
+
+				if (signal) signal.removeEventListener('abort', onAbort);
+
+				// The listener might be called before service() returned
+				if (handle) handle.unsubscribe();
+
+				callback(value);
+			};
+
+			const onAbort = () => settle(reject, new MissionControlError(`Getting the state of '${name}' was aborted.`, {
+				service: name,
+				type: SOCKET_ERROR.ACTION_ABORTED
+			}));
+
+			// Errors of the subscription itself don't belong to an action
+			const offError = this.on('error', (type, error) => {
+				if (error instanceof AuthError || (error && error.service === name && !error.action)) settle(reject, error);
+			});
+
+			const offStatus = this.on('status', (status, previous, reason) => {
+				if (status === CONNECTION_STATUS.CLOSED) {
+					settle(reject, new MissionControlError(`Could not get the state of '${name}', the connection is ${status} (${reason}).`, {
+						service: name,
+						type: SOCKET_ERROR.GENERAL
+					}));
+				}
+			});
+
+			if (signal && signal.aborted) return onAbort();
+
+			if (timeout > 0) {
+				timer = setTimeout(() => settle(reject, new TimeoutError(
+					`Didn't receive the state of '${name}' within ${timeout}ms.`,
+					{ service: name }
+				)), timeout);
+			}
+
+			if (signal) signal.addEventListener('abort', onAbort);
+
+			handle = this.service(name, (state, meta) => {
+				// Cached state might be outdated
+				if (meta && !meta.stale) settle(resolve, state);
+			});
+
+			if (settled) handle.unsubscribe();
+		});
+	}
+
 	/**
 	 * Execute an action on the mission control server.
 	 *
 	 * This method sends an 'action' event, which the server will use to execute the action and modify
 	 * the state accordingly.
 	 *
+	 * If the client is not ready (disconnected or not yet authenticated), the action is put into the
+	 * offline {@link ActionQueue} and sent once the client is ready again. The returned promise
+	 * then resolves after the action was replayed.
+	 *
+	 * @param {string} service - The service the action belongs to.
 	 * @param {string} action - The action that you want to execute.
 	 * @param {object} data - The data you want to pass to the action function.
+	 * @param {object} [options]
+	 * @param {number} [options.ttl] - The time in ms the action may stay in the offline queue. Defaults to the queue TTL.
+	 * @param {number} [options.timeout] - The time in ms to wait for the server to answer. Defaults to the client timeout.
+	 * @param {AbortSignal} [options.signal] - Signal to cancel the action while it is queued or waiting for an answer.
+	 * @param {function(state: object): object} [options.optimistic] - Predicts the new service state. The prediction is shown
+	 * right away and replaced by the next real sync, or rolled back (emitting 'optimistic:rollback') if the action fails.
+	 * It must not mutate the state it receives. If it throws, the action isn't sent and the promise rejects. If it throws
+	 * when it's applied again to a newer state, the prediction is dropped and the promise rejects as well.
+	 * @return {Promise<object>} The server response.
+	 * @throws {ActionError} If the server responded with an error.
+	 * @throws {TimeoutError} If the server didn't respond in time.
+	 * @throws {ValidationError} If validation is enabled and the action or its data doesn't match the action catalogue.
 	 *
 	 * @since 1.0.0
 	 * @async
 	 * @example
 	 * client.action('EXAMPLE:DO', { parameter: 'example' })
 	 * client.action('VIDEO-QUEUE:PUSH', { video: { url: '...', format: 'mp4' }})
+	 * client.action('lights', 'TOGGLE', {}, { ttl: 5000 })
+	 * client.action('lights', 'TOGGLE', {}, { timeout: 2000, signal: controller.signal })
+	 * client.action('lights', 'TOGGLE', {}, { optimistic: state => ({ ...state, on: !state.on }) })
 	 */
-	action(service, action, data) {
-		return new Promise((resolve, reject) => {
-			this.socket.emit('action', { service, action, data }, (res) => {
-				if (res.error) {
-					reject(new Error(res.error.message));
-				} else {
-					resolve(res);
+	action(service, action, data, options) {
+		const check = this.validate ? this._checkAction(service, action, data) : null;
+
+		if (check) return check.then(() => this._performAction(service, action, data, options));
+
+		return this._performAction(service, action, data, options);
+	}
+
+	/**
+	 * Apply the optimistic update and send or queue an action.
+	 * @protected
+	 */
+	_performAction(service, action, data, { optimistic, ...options } = {}) {
+		let updateId = null;
+
+		// Rejects if the update throws when it's applied to a newer state later on
+		let failOptimistic;
+		const optimisticFailed = new Promise((resolve, reject) => {
+			failOptimistic = error => reject(this._optimisticError(service, action, error));
+		});
+
+		if (optimistic) {
+			try {
+				updateId = this._applyOptimistic(service, optimistic, failOptimistic);
+			} catch (e) {
+				return Promise.reject(this._optimisticError(service, action, e));
+			}
+		}
+
+		const promise = this._dispatchAction(service, action, data, options);
+
+		if (updateId === null) return promise;
+
+		return Promise.race([
+			promise.then(
+				response => {
+					const state = this._optimistic.resolve(service, updateId);
+
+					if (state !== undefined) this._setState(service, state);
+
+					return response;
+				},
+				error => {
+					this._rollbackOptimistic(service, updateId, action, error);
+
+					throw error;
 				}
+			),
+			optimisticFailed
+		]);
+	}
+
+	/**
+	 * @protected
+	 * @return {MissionControlError}
+	 */
+	_optimisticError(service, action, error) {
+		return new MissionControlError(`The optimistic update for ${service}/${action} failed: ${error.message}`, {
+			service,
+			action,
+			payload: error,
+			cause: error
+		});
+	}
+
+	/**
+	 * Execute several actions with a single round-trip, e.g. for scenes.
+	 *
+	 * - `parallel`: All actions are executed independently.
+	 * - `sequential`: The actions are executed in order. With `stopOnError` (the default), the rest is skipped after a failure.
+	 * - `atomic`: The actions are executed in order, but only applied if all of them succeed.
+	 *
+	 * If validation is enabled, all actions are checked first and nothing is sent if one of them is invalid.
+	 * Batches aren't queued while offline, they wait for the connection instead. They count towards the `maxInFlight`
+	 * limit of the `rateLimit` option, but not towards the policies of their actions.
+	 *
+	 * @param {Array<{ service: string, action: string, data?: object }>} actions
+	 * @param {object} [options]
+	 * @param {BATCH_MODE} [options.mode='parallel']
+	 * @param {boolean} [options.stopOnError=true] - Whether a sequential batch stops at the first failure.
+	 * @param {number} [options.timeout] - The time in ms to wait for the connection and the server's answer. Defaults to the client timeout.
+	 * @param {AbortSignal} [options.signal] - Signal to stop waiting.
+	 * @return {Promise<Array<BatchResult>>} The outcome of every action, in order.
+	 * @throws {BatchError} If any of the actions failed, with the outcome of every action.
+	 * @throws {ActionError} If the server refused the batch as a whole.
+	 * @throws {TimeoutError} If the server didn't answer in time.
+	 *
+	 * @since 1.2.0
+	 * @example
+	 * try {
+	 * 	await client.batch([
+	 * 		{ service: 'lights', action: 'SET_BRIGHTNESS', data: { brightness: 20 } },
+	 * 		{ service: 'blinds', action: 'CLOSE' },
+	 * 		{ service: 'music', action: 'PLAY', data: { playlist: 'evening' } }
+	 * 	], { mode: BATCH_MODE.SEQUENTIAL });
+	 * } catch (e) {
+	 * 	if (e instanceof BatchError) e.results.forEach(({ service, action, status }) => console.log(service, action, status));
+	 * }
+	 */
+	async batch(actions, { mode = BATCH_MODE.PARALLEL, stopOnError = true, timeout = this.timeout, signal } = {}) {
+		if (!Object.values(BATCH_MODE).includes(mode)) {
+			throw new Error(`Unknown batch mode '${mode}'.`);
+		}
+
+		actions = actions.map(({ service, action, data }) => ({ service, action, data }));
+
+		// Connected, we can fetch the action catalogues for the validation, too
+		if (!this.ready) await this.whenReady({ timeout, signal });
+
+		if (this.validate) {
+			const checks = await Promise.allSettled(
+				actions.map(({ service, action, data }) => this._checkAction(service, action, data))
+			);
+
+			if (checks.some(check => check.status === 'rejected')) {
+				const results = actions.map(({ service, action }, index) => checks[index].status === 'rejected'
+					? { service, action, status: 'rejected', error: checks[index].reason }
+					: { service, action, status: 'skipped' }
+				);
+
+				throw this._batchError(results);
+			}
+		}
+
+		const send = () => this._socketEmit('batch', { mode, stopOnError, actions }, { timeout, signal });
+		const response = await (this.rateLimiter ? this.rateLimiter.limit(send, { signal }) : send());
+		const responses = response.results || [];
+
+		const results = actions.map(({ service, action }, index) => {
+			const result = responses[index];
+
+			if (!result || result.skipped) return { service, action, status: 'skipped' };
+
+			if (result.error) {
+				return { service, action, status: 'rejected', error: ActionError.fromResponse(result.error, { service, action }) };
+			}
+
+			return { service, action, status: 'fulfilled', response: result.response };
+		});
+
+		if (results.some(result => result.status !== 'fulfilled')) throw this._batchError(results);
+
+		return results;
+	}
+
+	/**
+	 * @protected
+	 * @param {Array<BatchResult>} results
+	 * @return {BatchError}
+	 */
+	_batchError(results) {
+		const failed = results.filter(result => result.status === 'rejected');
+		const [first] = failed;
+
+		// The server shouldn't skip actions without a reason, but if it does we still want to know
+		if (!first) {
+			return new BatchError(`${results.length - results.filter(result => result.status === 'fulfilled').length} of ${results.length} actions were skipped.`, { results });
+		}
+
+		return new BatchError(
+			`${failed.length} of ${results.length} actions failed, first '${first.action}' of service '${first.service}': ${first.error.message}`,
+			{ results, service: first.service, action: first.action, cause: first.error }
+		);
+	}
+
+	/**
+	 * Get the actions a service offers, with the JSON Schemas of their data.
+	 *
+	 * The catalogue is fetched from the server once and cached, e.g. for tooling, forms or the
+	 * type generator. Validation with the `validate` option uses the same catalogue.
+	 *
+	 * @param {string} service - The service name.
+	 * @param {object} [options]
+	 * @param {boolean} [options.refresh=false] - Fetch the catalogue again, e.g. after the server was updated.
+	 * @param {number} [options.timeout] - The time in ms to wait for the connection and for the server to answer. Defaults to the client timeout.
+	 * @return {Promise<ActionCatalogue>}
+	 * @throws {ActionError} If the server refused, e.g. because it doesn't know the service.
+	 * @throws {TimeoutError} If the server didn't respond in time.
+	 *
+	 * @since 1.2.0
+	 * @example
+	 * const { actions } = await client.describe('lights');
+	 * Object.keys(actions); // ['TOGGLE', 'SET_BRIGHTNESS']
+	 */
+	describe(service, { refresh = false, timeout = this.timeout } = {}) {
+		if (!refresh && this._catalogues[service]) {
+			return this._catalogues[service].promise;
+		}
+
+		const entry = {};
+
+		// Unlike actions, describing isn't queued, but it's fine to wait for the connection
+		const ready = this.ready ? Promise.resolve() : this.whenReady({ timeout });
+
+		entry.promise = ready
+			.then(() => this._socketEmit('describe', { service }, { timeout }))
+			.then(response => {
+				entry.value = { service, actions: response.actions || {} };
+
+				if (response.stateSchema) entry.value.stateSchema = response.stateSchema;
+
+				return entry.value;
+			})
+			.catch(error => {
+				// Only a real answer is worth remembering, a timeout might go better next time
+				if (error instanceof ActionError) {
+					entry.error = error;
+				} else if (this._catalogues[service] === entry) {
+					delete this._catalogues[service];
+				}
+
+				throw error;
 			});
+
+		this._catalogues[service] = entry;
+
+		return entry.promise;
+	}
+
+	/**
+	 * Check an action against the action catalogue of its service.
+	 *
+	 * If we already know the catalogue, the action is checked right away, so optimistic updates aren't delayed.
+	 * Actions are sent unchecked if the catalogue isn't available, e.g. while offline or if the server can't describe the service.
+	 *
+	 * @protected
+	 * @return {Promise|null} A promise if the action has to wait for the check (or failed it), null if it can be sent right away.
+	 */
+	_checkAction(service, action, data) {
+		const entry = this._catalogues[service];
+
+		if (entry && entry.value) {
+			try {
+				this._validateAction(entry.value, action, data);
+			} catch (error) {
+				return Promise.reject(error);
+			}
+
+			return null;
+		}
+
+		if ((entry && entry.error) || (!entry && !this.ready)) return null;
+
+		return this.describe(service).then(
+			catalogue => this._validateAction(catalogue, action, data),
+			error => {
+				// Without a catalogue we can't tell if the action is valid, the server will have to
+				this.logger.warn('could not get the action catalogue, sending unchecked', service, error);
+			}
+		);
+	}
+
+	/**
+	 * @protected
+	 * @throws {ValidationError}
+	 */
+	_validateAction({ service, actions }, action, data) {
+		const definition = actions[action];
+
+		if (!definition) {
+			throw new ValidationError(
+				`Unknown action '${action}' for service '${service}'. Known actions: ${Object.keys(actions).join(', ') || 'none'}.`,
+				{ service, action }
+			);
+		}
+
+		if (!definition.schema) return;
+
+		const errors = validateSchema(definition.schema, data, {
+			onInvalidPattern: (pattern, error) => {
+				if (this._invalidPatterns.has(pattern)) return;
+
+				this._invalidPatterns.add(pattern);
+				this.logger.warn(`not checking the pattern ${pattern} of '${action}' of service '${service}', it's invalid here:`, error.message);
+			}
 		});
+
+		if (errors.length === 0) return;
+
+		const [{ field, message }] = errors;
+
+		throw new ValidationError(
+			`Invalid data for action '${action}' of service '${service}': ${field || 'data'} ${message}.`,
+			{ service, action, field, errors, payload: data }
+		);
+	}
+
+	/**
+	 * Ask the server to send us sync events for a service.
+	 * @protected
+	 * @param {string} service
+	 */
+	_subscribe(service) {
+		this.logger.debug('subscribe to service:', service);
+
+		// We tell the server that we understand patches, so it doesn't send them to older clients
+		this._socketEmit('subscribe', { service, patches: true })
+			.catch(this.reportError);
+	}
+
+	/**
+	 * Handle a sync message from the server, containing either the full state or a patch.
+	 * @protected
+	 * @param {SyncMessage} message
+	 */
+	_handleSync({ service, state, patch, version }) {
+		this.logger.debug('sync – service:', service, patch ? 'patch:' : 'state:', patch || state, 'version:', version);
+
+		if (!this._services[service]) {
+			return this.logger.warn('received sync update for unsubscribed service', service, state);
+		}
+
+		if (patch) {
+			// Until the full state arrives, patches are of no use
+			if (this._resyncing[service]) {
+				return this.logger.debug('ignoring patch while waiting for resync', service);
+			}
+
+			const currentVersion = this._stateVersions[service];
+
+			if (currentVersion === undefined || version !== currentVersion + 1) {
+				return this._resync(service, `version gap (have ${currentVersion}, got ${version})`);
+			}
+
+			try {
+				// Patches are based on the real state, not on our optimistic predictions
+				state = applyPatch(this._optimistic.confirmedState(service, this._stateCache[service]), patch);
+			} catch (e) {
+				return this._resync(service, `patch could not be applied: ${e.message}`);
+			}
+		}
+
+		if (version === undefined) {
+			delete this._stateVersions[service];
+		} else {
+			this._stateVersions[service] = version;
+		}
+
+		delete this._resyncing[service];
+
+		const updatedAt = Date.now();
+		this._stateMeta[service] = { stale: false, updatedAt };
+
+		// Only the real state is persisted, not our optimistic predictions
+		if (this.cache) {
+			this.cache.save(service, state, updatedAt);
+		}
+
+		// Pending optimistic updates are applied on top of the real state
+		this._setState(service, this._optimistic.reconcile(service, state));
+	}
+
+	/**
+	 * Request the full state of a service, because we can't apply patches to our cached state anymore.
+	 *
+	 * The server can either respond with the state directly, or send it with a regular sync event.
+	 *
+	 * @protected
+	 * @param {string} service
+	 * @param {string} reason - Why we need to resync, for debugging.
+	 */
+	_resync(service, reason) {
+		this.logger.warn('resync service:', service, reason);
+
+		this._resyncing[service] = true;
+
+		this._socketEmit('resync', { service, version: this._stateVersions[service] })
+			.then(response => {
+				if (response && response.state !== undefined && this._resyncing[service]) {
+					this._handleSync({ service, state: response.state, version: response.version });
+				}
+			})
+			.catch(e => {
+				delete this._resyncing[service];
+
+				this.reportError(e);
+			});
+	}
+
+	/**
+	 * Apply an optimistic update to the cached state of a service and notify its listeners.
+	 * @protected
+	 * @param {string} service
+	 * @param {function(state: object): object} update
+	 * @param {function(error: Error)} onError - Called if the update throws when it's applied to a newer state later on.
+	 * @return {number|null} The update id, or null if there is no state to base the prediction on yet.
+	 * @throws {Error} If the update throws.
+	 */
+	_applyOptimistic(service, update, onError) {
+		if (!this._stateCache[service]) {
+			this.logger.debug('no state to apply optimistic update to', service);
+
+			return null;
+		}
+
+		const { id, state } = this._optimistic.apply(service, this._stateCache[service], update, onError);
+
+		this.logger.debug('optimistic update', service, state);
+		this._setState(service, state);
+
+		return id;
+	}
+
+	/**
+	 * Roll back a failed optimistic update and notify listeners.
+	 * @protected
+	 */
+	_rollbackOptimistic(service, updateId, action, error) {
+		const state = this._optimistic.rollback(service, updateId);
+
+		// If it's already gone, a real sync replaced it in the meantime, so there's nothing to undo.
+		if (state === undefined) return;
+
+		this.logger.debug('optimistic update rolled back', service, action);
+
+		this._setState(service, state);
+		this.eventBus.emit('optimistic:rollback', service, action, error);
+	}
+
+	/**
+	 * Update the cached state of a service and notify its listeners.
+	 * @protected
+	 * @param {string} service
+	 * @param {object} state
+	 */
+	_setState(service, state) {
+		this._stateCache[service] = state;
+		this.eventBus.emit(`sync:${service}`, state, this._stateMeta[service]);
+	}
+
+	/**
+	 * Send an action when its rate limit policy allows it.
+	 * @protected
+	 */
+	_dispatchAction(service, action, data, options) {
+		if (!this.rateLimiter) return this._queueOrSend(service, action, data, options);
+
+		// Coalesced calls share the result of the call that is actually sent
+		return this.rateLimiter.schedule(
+			service,
+			action,
+			signal => this._queueOrSend(service, action, data, { ...options, signal }),
+			options && options.signal
+		);
+	}
+
+	/**
+	 * Send an action right away or put it into the offline queue.
+	 * @protected
+	 */
+	_queueOrSend(service, action, data, { ttl, timeout, signal } = {}) {
+		// While there are still queued actions, new ones have to wait in line so the order is kept.
+		if (this.queue && (!this.ready || this.queue.size > 0)) {
+			const promise = this.queue.push({ service, action, data }, { ttl, timeout, signal });
+
+			if (this.ready) this._flushQueue();
+
+			return promise;
+		}
+
+		return this._sendAction({ service, action, data }, { timeout, signal });
+	}
+
+	/**
+	 * Send an action to the server right away.
+	 * @protected
+	 * @param {object} action
+	 * @param {string} action.service - The service the action belongs to.
+	 * @param {string} action.action - The action name.
+	 * @param {object} action.data - The action data.
+	 * @param {object} [options] Timeout and abort signal, see {@link MissionControlClient#_emit}.
+	 * @return {Promise<object>} The server response.
+	 */
+	async _sendAction({ service, action, data }, options) {
+		const emit = () => this._emit('action', { service, action, data }, options);
+		const res = await (this.rateLimiter
+			? this.rateLimiter.limit(emit, { signal: options && options.signal, service, action })
+			: emit());
+
+		if (res.error) {
+			throw ActionError.fromResponse(res.error, { service, action });
+		}
+
+		return res;
+	}
+
+	/**
+	 * Replay the actions in the offline queue, if there are any.
+	 * @protected
+	 */
+	_flushQueue() {
+		if (!this.queue) return;
+
+		this.queue
+			.flush(this._sendAction, () => this.ready)
+			.catch(this.reportError);
 	}
 
 	/**
 	 * Report a general error to the user of the library
+	 *
+	 * Errors that aren't a {@link MissionControlError} already are wrapped in one, so 'error' listeners
+	 * always receive the same kind of error.
+	 *
 	 * @param {Error} error The error object
 	 */
 	reportError(error) {
 		this.logger.error('error reported', error);
 
-		this.eventBus.emit('error', SOCKET_ERROR.GENERAL, error);
+		if (!(error instanceof MissionControlError)) {
+			error = new MissionControlError(error && error.message ? error.message : String(error), {
+				payload: error,
+				cause: error
+			});
+		}
+
+		this.eventBus.emit('error', error.type, error);
 	}
 }
@@ -0,0 +1,177 @@
+/*
+ * A small JSON Patch (RFC 6902) implementation used for patch-based syncs.
+ *
+ * Patches are applied immutably: the original document is never modified, only the objects and arrays
+ * along the patched paths are copied. Everything else is shared with the original document,
+ * so listeners can compare parts of the state by reference.
+ */
+
+import { deepEqual } from './equality.js';
+
+/**
+ * The error thrown when a patch can't be applied to a document.
+ * @since 1.2.0
+ */
+export class PatchError extends Error {
+	constructor(message, operation) {
+		super(message);
+
+		this.name = 'PatchError';
+		this.operation = operation;
+	}
+}
+
+/**
+ * Parse a JSON pointer (e.g. '/lights/0/on') into its unescaped tokens.
+ * @param {string} pointer
+ * @return {Array<string>}
+ */
+function parsePointer(pointer) {
+	if (pointer === '') return [];
+
+	if (pointer[0] !== '/') {
+		throw new PatchError(`Invalid JSON pointer '${pointer}'.`);
+	}
+
+	return pointer
+		.slice(1)
+		.split('/')
+		.map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function shallowCopy(value) {
+	return Array.isArray(value) ? value.slice() : { ...value };
+}
+
+function isContainer(value) {
+	return value !== null && typeof value === 'object';
+}
+
+function arrayIndex(array, token, allowEnd, operation) {
+	if (allowEnd && token === '-') return array.length;
+
+	const index = Number(token);
+
+	if (!/^(0|[1-9][0-9]*)$/.test(token) || index > array.length || (!allowEnd && index === array.length)) {
+		throw new PatchError(`Array index '${token}' is out of bounds.`, operation);
+	}
+
+	return index;
+}
+
+function get(document, tokens, operation) {
+	return tokens.reduce((value, token) => {
+		if (!isContainer(value) || !(Array.isArray(value) ? token < value.length : token in value)) {
+			throw new PatchError(`Path '${operation.from || operation.path}' does not exist.`, operation);
+		}
+
+		return value[token];
+	}, document);
+}
+
+/**
+ * Copy the containers along the path and let `change` modify the (copied) parent of the last token.
+ * @return {any} The new document.
+ */
+function update(document, tokens, operation, change) {
+	if (tokens.length === 0) {
+		return change(null, null);
+	}
+
+	const [token, ...rest] = tokens;
+
+	if (!isContainer(document)) {
+		throw new PatchError(`Path '${operation.path}' does not exist.`, operation);
+	}
+
+	const copy = shallowCopy(document);
+
+	if (rest.length === 0) {
+		change(copy, token);
+	} else {
+		if (!(token in copy)) {
+			throw new PatchError(`Path '${operation.path}' does not exist.`, operation);
+		}
+
+		copy[token] = update(copy[token], rest, operation, change);
+	}
+
+	return copy;
+}
+
+function add(document, tokens, value, operation) {
+	return update(document, tokens, operation, (parent, token) => {
+		if (parent === null) return value;
+
+		if (Array.isArray(parent)) {
+			parent.splice(arrayIndex(parent, token, true, operation), 0, value);
+		} else {
+			parent[token] = value;
+		}
+	});
+}
+
+function remove(document, tokens, operation) {
+	if (tokens.length === 0) {
+		throw new PatchError('Cannot remove the whole document.', operation);
+	}
+
+	return update(document, tokens, operation, (parent, token) => {
+		if (Array.isArray(parent)) {
+			parent.splice(arrayIndex(parent, token, false, operation), 1);
+		} else {
+			if (!(token in parent)) {
+				throw new PatchError(`Path '${operation.path}' does not exist.`, operation);
+			}
+
+			delete parent[token];
+		}
+	});
+}
+
+/**
+ * Apply a JSON Patch to a document without modifying it.
+ *
+ * @param {any} document - The document to patch.
+ * @param {Array<{ op: string, path: string, value: any, from: string }>} patch - The patch operations.
+ * @return {any} The patched document.
+ * @throws {PatchError} If an operation can't be applied.
+ * @since 1.2.0
+ * @example
+ * applyPatch({ on: false }, [{ op: 'replace', path: '/on', value: true }]); // { on: true }
+ */
+export function applyPatch(document, patch) {
+	if (!Array.isArray(patch)) {
+		throw new PatchError('A patch has to be an array of operations.');
+	}
+
+	return patch.reduce((current, operation) => {
+		const tokens = parsePointer(operation.path);
+
+		switch (operation.op) {
+			case 'add':
+				return add(current, tokens, operation.value, operation);
+			case 'remove':
+				return remove(current, tokens, operation);
+			case 'replace':
+				get(current, tokens, operation);
+				return add(tokens.length === 0 ? current : remove(current, tokens, operation), tokens, operation.value, operation);
+			case 'move': {
+				const from = parsePointer(operation.from);
+				const value = get(current, from, operation);
+
+				return add(remove(current, from, operation), tokens, value, operation);
+			}
+			case 'copy':
+				return add(current, tokens, get(current, parsePointer(operation.from), operation), operation);
+			case 'test':
+				if (!deepEqual(get(current, tokens, operation), operation.value)) {
+					throw new PatchError(`Test for path '${operation.path}' failed.`, operation);
+				}
+
+				return current;
+			default:
+				throw new PatchError(`Unknown patch operation '${operation.op}'.`, operation);
+		}
+	}, document);
+}
@@ -0,0 +1,154 @@
+/*
+ * A small JSON Schema validator used to check action data before it is sent.
+ *
+ * It covers the keywords action schemas typically use: `type`, `enum`, `const`, `properties`, `required`,
+ * `additionalProperties`, `items`, `minItems` / `maxItems`, `minimum` / `maximum` (and their exclusive variants),
+ * `minLength` / `maxLength`, `pattern`, `anyOf`, `oneOf` and `allOf`. Unknown keywords are ignored, so a schema
+ * using more of the spec is validated less strictly here, but never rejects valid data. The same goes for patterns
+ * JavaScript can't compile.
+ */
+
+import { deepEqual } from './equality.js';
+
+function typeOf(value) {
+	if (value === null) return 'null';
+	if (Array.isArray(value)) return 'array';
+	if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+
+	return typeof value;
+}
+
+function matchesType(value, type) {
+	const actual = typeOf(value);
+
+	// Every integer is a number, too
+	return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function join(path, key) {
+	if (typeof key === 'number') return `${path}[${key}]`;
+
+	return path ? `${path}.${key}` : key;
+}
+
+function checkPattern(pattern, value, fail, options) {
+	let regex;
+
+	try {
+		regex = new RegExp(pattern, 'u');
+	} catch (e) {
+		// The server might understand the pattern, so we can't tell whether the value is valid and leave it to the server
+		if (options.onInvalidPattern) options.onInvalidPattern(pattern, e);
+
+		return;
+	}
+
+	if (!regex.test(value)) fail(`must match ${pattern}`);
+}
+
+function validateAt(schema, value, path, errors, options) {
+	// `true` and `{}` allow everything, `false` nothing
+	if (schema === true || schema === undefined) return;
+
+	if (schema === false) {
+		errors.push({ field: path, message: 'is not allowed' });
+
+		return;
+	}
+
+	const fail = message => errors.push({ field: path, message });
+
+	if (schema.type !== undefined) {
+		const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+
+		if (!types.some(type => matchesType(value, type))) {
+			// Without the right type, the other keywords don't make sense
+			return fail(`must be of type ${types.join(' or ')}, got ${typeOf(value)}`);
+		}
+	}
+
+	if (schema.const !== undefined && !deepEqual(value, schema.const)) {
+		fail(`must be ${JSON.stringify(schema.const)}`);
+	}
+
+	if (schema.enum && !schema.enum.some(option => deepEqual(value, option))) {
+		fail(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+	}
+
+	if (typeof value === 'number') {
+		if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+		if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+		if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail(`must be > ${schema.exclusiveMinimum}`);
+		if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) fail(`must be < ${schema.exclusiveMaximum}`);
+	}
+
+	if (typeof value === 'string') {
+		if (schema.minLength !== undefined && value.length < schema.minLength) fail(`must be at least ${schema.minLength} characters long`);
+		if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters long`);
+		if (schema.pattern !== undefined) checkPattern(schema.pattern, value, fail, options);
+	}
+
+	if (Array.isArray(value)) {
+		if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+		if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+
+		if (schema.items !== undefined) {
+			value.forEach((item, index) => validateAt(schema.items, item, join(path, index), errors, options));
+		}
+	}
+
+	if (typeOf(value) === 'object') {
+		const properties = schema.properties || {};
+
+		for (const key of schema.required || []) {
+			if (!(key in value)) errors.push({ field: join(path, key), message: 'is required' });
+		}
+
+		for (const key of Object.keys(value)) {
+			if (key in properties) {
+				validateAt(properties[key], value[key], join(path, key), errors, options);
+			} else if (schema.additionalProperties !== undefined) {
+				// Unknown properties are where typos show up, so they get their own message
+				if (schema.additionalProperties === false) {
+					errors.push({ field: join(path, key), message: 'is not a known property' });
+				} else {
+					validateAt(schema.additionalProperties, value[key], join(path, key), errors, options);
+				}
+			}
+		}
+	}
+
+	if (schema.allOf) {
+		for (const subschema of schema.allOf) validateAt(subschema, value, path, errors, options);
+	}
+
+	if (schema.anyOf && !schema.anyOf.some(subschema => validate(subschema, value, options).length === 0)) {
+		fail('must match at least one of the allowed schemas');
+	}
+
+	if (schema.oneOf && schema.oneOf.filter(subschema => validate(subschema, value, options).length === 0).length !== 1) {
+		fail('must match exactly one of the allowed schemas');
+	}
+}
+
+/**
+ * Validate a value against a JSON Schema.
+ *
+ * @param {object|boolean} schema
+ * @param {any} value
+ * @param {object} [options]
+ * @param {function(pattern: string, error: SyntaxError)} [options.onInvalidPattern] - Called for every pattern that can't be compiled.
+ * These patterns are skipped.
+ * @return {Array<{ field: string, message: string }>} The problems found, empty if the value is valid.
+ * The field is a path like 'rooms[0].name', or '' for the value itself.
+ * @example
+ * validate({ type: 'object', properties: { brightness: { type: 'integer', maximum: 100 } } }, { brightness: 120 });
+ * // [{ field: 'brightness', message: 'must be <= 100' }]
+ */
+export function validate(schema, value, options = {}) {
+	const errors = [];
+
+	validateAt(schema, value, '', errors, options);
+
+	return errors;
+}
@@ -0,0 +1,18 @@
+/*
+ * Type declarations for the Node.js entry point.
+ */
+
+import { Store, ActionCatalogue } from './index.js';
+
+export * from './index.js';
+
+export declare class FileStore implements Store {
+	constructor(filePath: string);
+	filePath: string;
+	getItem(key: string): Promise<any>;
+	setItem(key: string, value: any): Promise<void>;
+	removeItem(key: string): Promise<void>;
+}
+
+export declare function generateServiceTypes(catalogues: ActionCatalogue[], options?: { name?: string; packageName?: string }): string;
+export declare function schemaToType(schema: object | boolean, indent?: string): string;
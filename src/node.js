@@ -0,0 +1,9 @@
+/*
+ * The Node.js entry point.
+ *
+ * Exports everything from the main entry point, plus the things that only work in Node.js
+ * and would break browser bundles if they were part of the main entry point, and tooling like the type generator.
+ */
+export * from './index.js';
+export { FileStore } from './stores/FileStore.js';
+export { generateServiceTypes, schemaToType } from './typegen.js';
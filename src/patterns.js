@@ -0,0 +1,29 @@
+/*
+ * Glob-like patterns for event names, e.g. 'sync:*' or 'internal:notification:*'.
+ *
+ * A `*` matches any sequence of characters, including the `:` separators. So 'internal:*' matches
+ * 'internal:notification:created' as well as 'internal:ping'.
+ */
+
+/**
+ * Whether an event name contains wildcards and has to be matched as a pattern.
+ * @param {string} event
+ * @return {boolean}
+ */
+export function isPattern(event) {
+	return typeof event === 'string' && event.includes('*');
+}
+
+/**
+ * Compile a pattern to a regular expression.
+ * @param {string} pattern
+ * @return {RegExp}
+ */
+export function compilePattern(pattern) {
+	const source = pattern
+		.split('*')
+		.map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+		.join('.*');
+
+	return new RegExp(`^${source}$`);
+}
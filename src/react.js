@@ -0,0 +1,109 @@
+/*
+ * React bindings for the mission control client, available as 'mission-control-client/react'.
+ *
+ * All hooks are built on useSyncExternalStore, so they are safe to use with concurrent rendering.
+ */
+
+import { createContext, createElement, useCallback, useContext, useSyncExternalStore } from 'react';
+
+/**
+ * The context the {@link MissionControlProvider} puts the client into.
+ * @type {React.Context<MissionControlClient|null>}
+ * @since 1.2.0
+ */
+export const MissionControlContext = createContext(null);
+
+/**
+ * Makes a client available to all hooks below it.
+ *
+ * The provider doesn't manage the client's lifecycle, so you decide when to create and destroy it.
+ *
+ * @param {object} props
+ * @param {MissionControlClient} props.client - The client to provide.
+ * @param {React.ReactNode} props.children
+ * @since 1.2.0
+ * @example
+ * const client = new MissionControlClient(url, token);
+ *
+ * root.render(
+ * 	<MissionControlProvider client={client}>
+ * 		<App />
+ * 	</MissionControlProvider>
+ * );
+ */
+export function MissionControlProvider({ client, children }) {
+	if (!client) throw new Error('You need to pass a client to the MissionControlProvider.');
+
+	return createElement(MissionControlContext.Provider, { value: client }, children);
+}
+
+/**
+ * Get the client from the nearest {@link MissionControlProvider}.
+ * @return {MissionControlClient}
+ * @since 1.2.0
+ */
+export function useMissionControl() {
+	const client = useContext(MissionControlContext);
+
+	if (!client) throw new Error('useMissionControl has to be used within a MissionControlProvider.');
+
+	return client;
+}
+
+/**
+ * Subscribe to a service while the component is mounted.
+ *
+ * The subscription is shared with all other listeners of the service and released on unmount.
+ *
+ * @param {string} name - The service name.
+ * @return {{ state: object|null, ready: boolean, action: function(action: string, data: object, options: object): Promise<object> }}
+ * The current state (null until the first sync), whether there is state yet and a function to execute actions on the service.
+ * @since 1.2.0
+ * @example
+ * function Lights() {
+ * 	const { state, ready, action } = useService('lights');
+ *
+ * 	if (!ready) return null;
+ *
+ * 	return <button onClick={() => action('TOGGLE')}>{state.on ? 'On' : 'Off'}</button>;
+ * }
+ */
+export function useService(name) {
+	const client = useMissionControl();
+
+	const subscribe = useCallback(onChange => {
+		const handle = client.service(name, () => onChange());
+
+		return handle.unsubscribe;
+	}, [client, name]);
+
+	// The cached state only changes on a sync, so it's a stable snapshot
+	const getSnapshot = useCallback(() => client._stateCache[name] || null, [client, name]);
+
+	const state = useSyncExternalStore(subscribe, getSnapshot, getSnapshot);
+
+	const action = useCallback(
+		(actionName, data, options) => client.action(name, actionName, data, options),
+		[client, name]
+	);
+
+	return { state, ready: state !== null, action };
+}
+
+/**
+ * Get the connection status of the client and re-render when it changes.
+ * @return {CONNECTION_STATUS}
+ * @since 1.2.0
+ * @example
+ * const status = useConnectionStatus();
+ *
+ * if (status !== CONNECTION_STATUS.READY) return <Spinner />;
+ */
+export function useConnectionStatus() {
+	const client = useMissionControl();
+
+	const subscribe = useCallback(onChange => client.on('status', onChange), [client]);
+	const getSnapshot = useCallback(() => client.status, [client]);
+
+	return useSyncExternalStore(subscribe, getSnapshot, getSnapshot);
+}
@@ -0,0 +1,96 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * A key-value store that persists its items in a JSON file. Only available in Node.js.
+ *
+ * The whole file is read once and rewritten on every change, so this is meant for small
+ * amounts of data like the action queue, not for large blobs.
+ *
+ * @since 1.2.0
+ * @example
+ * import { MissionControlClient, FileStore } from 'mission-control-client/node';
+ *
+ * const client = new MissionControlClient(url, token, {
+ * 	queue: { store: new FileStore('./mission-control.json') }
+ * });
+ */
+export class FileStore {
+	/**
+	 * @param {string} filePath - The path of the JSON file. Will be created if it doesn't exist.
+	 */
+	constructor(filePath) {
+		if (!filePath) throw new Error('You need to pass a file path.');
+
+		this.filePath = path.resolve(filePath);
+
+		/** @type {Promise<Record<string, any>>|null} */
+		this._items = null;
+
+		// Writes are chained so they never overlap and the file always contains the latest state.
+		this._writing = Promise.resolve();
+	}
+
+	/**
+	 * Read the file once and keep its contents around.
+	 * @return {Promise<Record<string, any>>}
+	 */
+	_load() {
+		if (!this._items) {
+			this._items = fs.readFile(this.filePath, 'utf8')
+				.then(raw => JSON.parse(raw))
+				.catch(e => {
+					if (e.code === 'ENOENT') return {};
+
+					throw e;
+				});
+		}
+
+		return this._items;
+	}
+
+	async _write(items) {
+		this._writing = this._writing
+			.catch(() => {})
+			.then(async () => {
+				await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+				await fs.writeFile(this.filePath, JSON.stringify(items, null, '\t'));
+			});
+
+		return this._writing;
+	}
+
+	/**
+	 * Read an item from the store.
+	 * @param {string} key - The key of the item.
+	 * @return {Promise<any>} The stored value or `null` if there is none.
+	 */
+	async getItem(key) {
+		const items = await this._load();
+
+		return key in items ? items[key] : null;
+	}
+
+	/**
+	 * Write an item to the store.
+	 * @param {string} key - The key of the item.
+	 * @param {any} value - A JSON serializable value.
+	 */
+	async setItem(key, value) {
+		const items = await this._load();
+		items[key] = value;
+
+		await this._write(items);
+	}
+
+	/**
+	 * Remove an item from the store.
+	 * @param {string} key - The key of the item.
+	 */
+	async removeItem(key) {
+		const items = await this._load();
+		delete items[key];
+
+		await this._write(items);
+	}
+}
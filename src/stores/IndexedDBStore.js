@@ -0,0 +1,174 @@
+/**
+ * Connections that were closed to let another store upgrade the database.
+ * @type {WeakSet<IDBDatabase>}
+ */
+const closedConnections = new WeakSet();
+
+/**
+ * A key-value store that persists its items in the browser's IndexedDB.
+ *
+ * Better suited than {@link LocalStorageStore} for large amounts of data like big service states,
+ * as IndexedDB doesn't block the main thread and has much higher size limits.
+ *
+ * @since 1.2.0
+ * @example
+ * const client = new MissionControlClient(url, token, {
+ * 	cache: { store: new IndexedDBStore() }
+ * });
+ */
+export class IndexedDBStore {
+	/**
+	 * @param {string} [dbName='mission-control-client'] - The name of the database.
+	 * @param {string} [storeName='keyval'] - The name of the object store within the database. Several stores can share a database.
+	 * @param {IDBFactory} [indexedDB=indexedDB] - The IndexedDB implementation to use.
+	 */
+	constructor(dbName = 'mission-control-client', storeName = 'keyval', indexedDB = globalThis.indexedDB) {
+		if (!indexedDB) throw new Error('IndexedDB is not available in this environment.');
+
+		this.dbName = dbName;
+		this.storeName = storeName;
+		this.indexedDB = indexedDB;
+
+		/** @type {Promise<IDBDatabase>|null} */
+		this._db = null;
+	}
+
+	/**
+	 * Open the database once and keep the connection around.
+	 * @return {Promise<IDBDatabase>}
+	 */
+	_open() {
+		if (!this._db) {
+			this._db = this._connect().catch(e => {
+				this._db = null;
+
+				throw e;
+			});
+		}
+
+		return this._db;
+	}
+
+	/**
+	 * Connect to the database, upgrading it if our object store doesn't exist yet.
+	 *
+	 * Several stores can share a database, but object stores can only be created in a version upgrade.
+	 * So we open whatever version exists and only bump it if our object store is missing.
+	 *
+	 * @param {number} [version] - The version to open. The current one if not set.
+	 * @return {Promise<IDBDatabase>}
+	 */
+	async _connect(version) {
+		let db;
+
+		try {
+			db = await new Promise((resolve, reject) => {
+				const request = version === undefined
+					? this.indexedDB.open(this.dbName)
+					: this.indexedDB.open(this.dbName, version);
+
+				request.onupgradeneeded = () => {
+					this._allowUpgrades(request.result, request.transaction);
+
+					if (!request.result.objectStoreNames.contains(this.storeName)) {
+						request.result.createObjectStore(this.storeName);
+					}
+				};
+				request.onsuccess = () => {
+					if (!request.result.onversionchange) this._allowUpgrades(request.result);
+
+					resolve(request.result);
+				};
+				request.onerror = () => reject(request.error);
+			});
+		} catch (e) {
+			// Another store upgraded the database past the version we asked for in the meantime,
+			// or it needed the connection closed right after our own upgrade
+			if ((version !== undefined && e && e.name === 'VersionError') || (e && e.name === 'AbortError')) return this._connect();
+
+			throw e;
+		}
+
+		// Another store upgraded the database while we were connecting
+		if (closedConnections.has(db)) return this._connect();
+
+		if (!db.objectStoreNames.contains(this.storeName)) {
+			db.close();
+
+			return this._connect(db.version + 1);
+		}
+
+		return db;
+	}
+
+	/**
+	 * Close the connection when another store of the same database wants to upgrade it, we reconnect with the next request.
+	 * @param {IDBDatabase} db
+	 * @param {IDBTransaction} [upgrade] - Our own upgrade, if we're running one. Closing the connection during it would abort it.
+	 */
+	_allowUpgrades(db, upgrade) {
+		let upgrading = Boolean(upgrade);
+
+		if (upgrade) upgrade.addEventListener('complete', () => { upgrading = false; });
+
+		db.onversionchange = () => {
+			const close = () => {
+				db.close();
+				closedConnections.add(db);
+
+				this._db = null;
+			};
+
+			if (upgrading) {
+				upgrade.addEventListener('complete', close);
+			} else {
+				close();
+			}
+		};
+	}
+
+	/**
+	 * Run a single request in a transaction.
+	 * @param {IDBTransactionMode} mode
+	 * @param {function(store: IDBObjectStore): IDBRequest} createRequest
+	 * @return {Promise<any>} The result of the request.
+	 */
+	async _request(mode, createRequest) {
+		const db = await this._open();
+
+		return new Promise((resolve, reject) => {
+			const request = createRequest(db.transaction(this.storeName, mode).objectStore(this.storeName));
+
+			request.onsuccess = () => resolve(request.result);
+			request.onerror = () => reject(request.error);
+		});
+	}
+
+	/**
+	 * Read an item from the store.
+	 * @param {string} key - The key of the item.
+	 * @return {Promise<any>} The stored value or `null` if there is none.
+	 */
+	async getItem(key) {
+		const value = await this._request('readonly', store => store.get(key));
+
+		return value === undefined ? null : value;
+	}
+
+	/**
+	 * Write an item to the store.
+	 * @param {string} key - The key of the item.
+	 * @param {any} value - A structured-clonable value.
+	 */
+	async setItem(key, value) {
+		await this._request('readwrite', store => store.put(value, key));
+	}
+
+	/**
+	 * Remove an item from the store.
+	 * @param {string} key - The key of the item.
+	 */
+	async removeItem(key) {
+		await this._request('readwrite', store => store.delete(key));
+	}
+}
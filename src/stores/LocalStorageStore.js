@@ -0,0 +1,51 @@
+/**
+ * A key-value store that persists its items in the browser's `localStorage`.
+ *
+ * Values are JSON encoded and all keys are prefixed, so multiple clients can share one origin.
+ *
+ * @since 1.2.0
+ * @example
+ * const client = new MissionControlClient(url, token, {
+ * 	queue: { store: new LocalStorageStore('wall-panel:') }
+ * });
+ */
+export class LocalStorageStore {
+	/**
+	 * @param {string} [prefix='mission-control-client:'] - The prefix to put in front of every key.
+	 * @param {Storage} [storage=localStorage] - The storage to use. Can be swapped for `sessionStorage`.
+	 */
+	constructor(prefix = 'mission-control-client:', storage = globalThis.localStorage) {
+		if (!storage) throw new Error('localStorage is not available in this environment.');
+
+		this.prefix = prefix;
+		this.storage = storage;
+	}
+
+	/**
+	 * Read an item from the store.
+	 * @param {string} key - The key of the item.
+	 * @return {Promise<any>} The stored value or `null` if there is none.
+	 */
+	async getItem(key) {
+		const raw = this.storage.getItem(this.prefix + key);
+
+		return raw === null ? null : JSON.parse(raw);
+	}
+
+	/**
+	 * Write an item to the store.
+	 * @param {string} key - The key of the item.
+	 * @param {any} value - A JSON serializable value.
+	 */
+	async setItem(key, value) {
+		this.storage.setItem(this.prefix + key, JSON.stringify(value));
+	}
+
+	/**
+	 * Remove an item from the store.
+	 * @param {string} key - The key of the item.
+	 */
+	async removeItem(key) {
+		this.storage.removeItem(this.prefix + key);
+	}
+}
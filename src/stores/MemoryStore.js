@@ -0,0 +1,44 @@
+/**
+ * A key-value store that keeps everything in memory.
+ *
+ * This is the default store. Its contents are lost once the process or page goes away.
+ *
+ * All stores share the same asynchronous interface (`getItem`, `setItem`, `removeItem`), so
+ * you can easily build your own one (e.g. for IndexedDB or a database) and pass it to the client.
+ *
+ * @since 1.2.0
+ * @example
+ * const client = new MissionControlClient(url, token, { queue: { store: new MemoryStore() } });
+ */
+export class MemoryStore {
+	constructor() {
+		/** @type {Record<string, any>} */
+		this._items = {};
+	}
+
+	/**
+	 * Read an item from the store.
+	 * @param {string} key - The key of the item.
+	 * @return {Promise<any>} The stored value or `null` if there is none.
+	 */
+	async getItem(key) {
+		return key in this._items ? this._items[key] : null;
+	}
+
+	/**
+	 * Write an item to the store.
+	 * @param {string} key - The key of the item.
+	 * @param {any} value - A JSON serializable value.
+	 */
+	async setItem(key, value) {
+		this._items[key] = value;
+	}
+
+	/**
+	 * Remove an item from the store.
+	 * @param {string} key - The key of the item.
+	 */
+	async removeItem(key) {
+		delete this._items[key];
+	}
+}
@@ -0,0 +1,64 @@
+/*
+ * Svelte bindings for the mission control client, available as 'mission-control-client/svelte'.
+ */
+
+import { readable } from 'svelte/store';
+
+/**
+ * The stores we already created, per client and service.
+ * @type {WeakMap<MissionControlClient, Map<string, Readable>>}
+ */
+const serviceStores = new WeakMap();
+
+/**
+ * Get a readable store with the state of a service (null until the first sync).
+ *
+ * The store subscribes to the service when it gets its first subscriber and releases the subscription
+ * when the last one unsubscribes, so the service is only synced while something is using it.
+ * Calling this multiple times with the same client and service returns the same store.
+ *
+ * @param {MissionControlClient} client
+ * @param {string} name - The service name.
+ * @return {Readable<object|null>}
+ * @since 1.2.0
+ * @example
+ * <script>
+ * 	const lights = serviceStore(client, 'lights');
+ * </script>
+ *
+ * {#if $lights}
+ * 	<button on:click={() => client.action('lights', 'TOGGLE')}>{$lights.on ? 'On' : 'Off'}</button>
+ * {/if}
+ */
+export function serviceStore(client, name) {
+	if (!serviceStores.has(client)) {
+		serviceStores.set(client, new Map());
+	}
+
+	const stores = serviceStores.get(client);
+
+	if (!stores.has(name)) {
+		stores.set(name, readable(null, set => {
+			const handle = client.service(name, state => set(state));
+
+			return handle.unsubscribe;
+		}));
+	}
+
+	return stores.get(name);
+}
+
+/**
+ * Get a readable store with the connection status of a client.
+ * @param {MissionControlClient} client
+ * @return {Readable<CONNECTION_STATUS>}
+ * @since 1.2.0
+ */
+export function connectionStatusStore(client) {
+	return readable(client.status, set => {
+		// The status might have changed while nobody was subscribed
+		set(client.status);
+
+		return client.on('status', status => set(status));
+	});
+}
@@ -0,0 +1,7 @@
+/*
+ * Helpers to test apps using the client without a real Mission Control server, available as 'mission-control-client/testing'.
+ *
+ * These only work in Node.js and need socket.io to be installed.
+ */
+
+export { MockServer, MOCK_FAILURE, createMockServer } from './testing/MockServer.js';
@@ -0,0 +1,420 @@
+import http from 'http';
+import { Server } from 'socket.io';
+
+/**
+ * The failures that can be injected with {@link MockServer#fail}.
+ * @type {{ REJECT: string, DROP: string, AUTH_TIMEOUT: string }}
+ * @since 1.2.0
+ */
+export const MOCK_FAILURE = {
+	/** Respond with an error. */
+	REJECT: 'reject',
+	/** Don't acknowledge the event at all, so the client runs into its timeout. */
+	DROP: 'drop',
+	/** Only for 'authenticate': send 'authentication_timeout' and disconnect, like the real server does. */
+	AUTH_TIMEOUT: 'authentication_timeout'
+};
+
+/**
+ * A local Mission Control server for tests.
+ *
+ * It speaks the same protocol as the real server (`authenticate`, `subscribe`, `unsubscribe`, `resync`, `action`,
+ * `batch`, `describe` and `sync`), but the services are defined in the test with an initial state and reducers for their actions.
+ *
+ * Use {@link createMockServer} to create and start one.
+ *
+ * @since 1.2.0
+ */
+export class MockServer {
+	/**
+	 * @param {object} [options]
+	 * @param {number} [options.port=0] - The port to listen on. 0 picks a free one.
+	 * @param {string|function(token: string): boolean|Promise<boolean>} [options.token] - The valid token or a function checking it. Accepts every token if not set.
+	 * @param {number} [options.authTimeout=0] - Time in ms a client has to authenticate before it's disconnected. 0 means no limit.
+	 */
+	constructor({ port = 0, token, authTimeout = 0 } = {}) {
+		this.port = port;
+		this.token = token;
+		this.authTimeout = authTimeout;
+
+		/**
+		 * Every event the server received, in order. Useful for assertions.
+		 * @type {Array<{ event: string, data: object }>}
+		 */
+		this.received = [];
+
+		/**
+		 * @type {Record<string, { state: object, version: number, actions: Record<string, function>, schemas: Record<string, object>, stateSchema?: object }>}
+		 */
+		this._services = {};
+
+		/**
+		 * Injected failures per event, consumed in order.
+		 * @type {Record<string, Array<{ failure: string, error: object|string, times: number }>>}
+		 */
+		this._failures = {};
+
+		this.httpServer = http.createServer();
+		this.io = new Server(this.httpServer, { path: '/api/socket.io' });
+		this.io.on('connection', socket => this._onConnection(socket));
+	}
+
+	/**
+	 * The URL to pass to the client.
+	 * @type {string}
+	 */
+	get url() {
+		return `http://localhost:${this.httpServer.address().port}`;
+	}
+
+	/**
+	 * Start listening.
+	 * @return {Promise<MockServer>}
+	 */
+	listen() {
+		return new Promise((resolve, reject) => {
+			this.httpServer.once('error', reject);
+			this.httpServer.listen(this.port, () => {
+				this.httpServer.off('error', reject);
+				resolve(this);
+			});
+		});
+	}
+
+	/**
+	 * Disconnect all clients and stop the server.
+	 * @return {Promise}
+	 */
+	close() {
+		return new Promise(resolve => this.io.close(() => resolve()));
+	}
+
+	/**
+	 * Define a service.
+	 *
+	 * Reducers receive the current state and the action data and return the new state, which is synced to all subscribers.
+	 * If a reducer throws, the action is rejected with the error message.
+	 *
+	 * @param {string} name
+	 * @param {object} [definition]
+	 * @param {object} [definition.state={}] - The initial state.
+	 * @param {Record<string, function(state: object, data: object): object|Promise<object>>} [definition.actions={}] - The action reducers.
+	 * @param {Record<string, object>} [definition.schemas={}] - JSON Schemas for the data of the actions, sent with the action catalogue.
+	 * @param {object} [definition.stateSchema] - A JSON Schema of the state, sent with the action catalogue.
+	 * @return {MockServer}
+	 * @example
+	 * server.service('lights', {
+	 * 	state: { on: false, brightness: 100 },
+	 * 	actions: {
+	 * 		TOGGLE: state => ({ ...state, on: !state.on }),
+	 * 		SET_BRIGHTNESS: (state, { brightness }) => ({ ...state, brightness })
+	 * 	},
+	 * 	schemas: {
+	 * 		SET_BRIGHTNESS: { type: 'object', properties: { brightness: { type: 'integer' } }, required: ['brightness'] }
+	 * 	}
+	 * });
+	 */
+	service(name, { state = {}, actions = {}, schemas = {}, stateSchema } = {}) {
+		this._services[name] = { state, version: 0, actions, schemas, stateSchema };
+
+		return this;
+	}
+
+	/**
+	 * Get the current state of a service.
+	 * @param {string} name
+	 * @return {object|undefined}
+	 */
+	getState(name) {
+		return this._services[name] && this._services[name].state;
+	}
+
+	/**
+	 * Replace the state of a service and sync it to all subscribers.
+	 * @param {string} name
+	 * @param {object} state
+	 */
+	setState(name, state) {
+		if (!this._services[name]) {
+			throw new Error(`Unknown service '${name}'. Define it with service() first.`);
+		}
+
+		const service = this._services[name];
+		service.state = state;
+		service.version++;
+
+		this.io.to(`service:${name}`).emit('sync', { service: name, state, version: service.version });
+	}
+
+	/**
+	 * Send an event to all authenticated clients, e.g. a notification.
+	 * @param {string} event
+	 * @param {...any} args
+	 */
+	emit(event, ...args) {
+		this.io.to('authenticated').emit(event, ...args);
+	}
+
+	/**
+	 * Make the next calls of an event fail.
+	 *
+	 * @param {string} event - 'authenticate', 'subscribe', 'unsubscribe', 'resync', 'action', 'batch' or 'describe'.
+	 * Failures for 'action' also apply to the actions in a batch, where dropping one means the batch is never answered.
+	 * @param {MOCK_FAILURE} [failure=MOCK_FAILURE.REJECT]
+	 * @param {object} [options]
+	 * @param {object|string} [options.error='Injected failure'] - The error to respond with when rejecting.
+	 * @param {number} [options.times=1] - How many calls should fail. Can be Infinity.
+	 * @return {MockServer}
+	 * @example
+	 * server.fail('authenticate', MOCK_FAILURE.REJECT, { error: { message: 'Invalid token', code: 'INVALID_TOKEN' } });
+	 * server.fail('action', MOCK_FAILURE.DROP, { times: 2 });
+	 */
+	fail(event, failure = MOCK_FAILURE.REJECT, { error = 'Injected failure', times = 1 } = {}) {
+		if (!Object.values(MOCK_FAILURE).includes(failure)) {
+			throw new Error(`Unknown failure '${failure}'.`);
+		}
+
+		if (!this._failures[event]) this._failures[event] = [];
+
+		this._failures[event].push({ failure, error, times });
+
+		return this;
+	}
+
+	/**
+	 * Remove all injected failures.
+	 * @return {MockServer}
+	 */
+	clearFailures() {
+		this._failures = {};
+
+		return this;
+	}
+
+	/**
+	 * Disconnect all clients.
+	 *
+	 * @param {object} [options]
+	 * @param {boolean} [options.reconnect=true] - If true, the connection is dropped like on a network error and clients reconnect.
+	 * Otherwise the server disconnects them on purpose, which clients don't recover from by themselves.
+	 */
+	disconnectAll({ reconnect = true } = {}) {
+		for (const socket of this.io.of('/').sockets.values()) {
+			if (reconnect) {
+				socket.conn.close();
+			} else {
+				socket.disconnect(true);
+			}
+		}
+	}
+
+	_nextFailure(event) {
+		const failures = this._failures[event];
+
+		if (!failures || failures.length === 0) return null;
+
+		const next = failures[0];
+
+		if (--next.times <= 0) failures.shift();
+
+		return next;
+	}
+
+	_onConnection(socket) {
+		let authenticated = false;
+		let authTimer = null;
+
+		const authTimeout = () => {
+			socket.emit('authentication_timeout', { error: 'Authentication timed out.' });
+			socket.disconnect(true);
+		};
+
+		if (this.authTimeout > 0) {
+			authTimer = setTimeout(authTimeout, this.authTimeout);
+		}
+
+		socket.on('disconnect', () => clearTimeout(authTimer));
+
+		// Wraps a handler with logging, failure injection and error responses
+		const handle = (event, handler) => {
+			socket.on(event, async (data, ack = () => {}) => {
+				this.received.push({ event, data });
+
+				const injected = this._nextFailure(event);
+
+				if (injected) {
+					if (injected.failure === MOCK_FAILURE.DROP) return;
+					if (injected.failure === MOCK_FAILURE.AUTH_TIMEOUT) return authTimeout();
+
+					return ack({ error: injected.error });
+				}
+
+				if (event !== 'authenticate' && !authenticated) {
+					return ack({ error: { message: 'Not authenticated.', code: 'NOT_AUTHENTICATED' } });
+				}
+
+				try {
+					ack(await handler(data || {}));
+				} catch (e) {
+					ack({ error: { message: e.message, code: e.code } });
+				}
+			});
+		};
+
+		const getService = name => {
+			if (!this._services[name]) {
+				throw Object.assign(new Error(`Unknown service '${name}'.`), { code: 'UNKNOWN_SERVICE' });
+			}
+
+			return this._services[name];
+		};
+
+		handle('authenticate', async ({ token }) => {
+			const valid = typeof this.token === 'function'
+				? await this.token(token)
+				: this.token === undefined || this.token === token;
+
+			if (!valid) {
+				throw Object.assign(new Error('Invalid token.'), { code: 'INVALID_TOKEN' });
+			}
+
+			authenticated = true;
+			clearTimeout(authTimer);
+			socket.join('authenticated');
+
+			return { ok: true };
+		});
+
+		handle('subscribe', ({ service: name }) => {
+			const service = getService(name);
+
+			socket.join(`service:${name}`);
+			socket.emit('sync', { service: name, state: service.state, version: service.version });
+
+			return { ok: true };
+		});
+
+		handle('unsubscribe', ({ service: name }) => {
+			socket.leave(`service:${name}`);
+
+			return { ok: true };
+		});
+
+		handle('resync', ({ service: name }) => {
+			const service = getService(name);
+
+			return { state: service.state, version: service.version };
+		});
+
+		handle('describe', ({ service: name }) => {
+			const service = getService(name);
+			const actions = {};
+
+			for (const action in service.actions) {
+				actions[action] = service.schemas[action] ? { schema: service.schemas[action] } : {};
+			}
+
+			return service.stateSchema
+				? { service: name, stateSchema: service.stateSchema, actions }
+				: { service: name, actions };
+		});
+
+		// Runs a reducer on a state and returns the new one, without syncing it
+		const reduce = async (name, action, data, state) => {
+			const reducer = getService(name).actions[action];
+
+			if (!reducer) {
+				throw Object.assign(new Error(`Unknown action '${action}' for service '${name}'.`), { code: 'UNKNOWN_ACTION' });
+			}
+
+			const next = await reducer(state, data);
+
+			return next === undefined ? state : next;
+		};
+
+		const commit = (name, state) => {
+			if (state !== this._services[name].state) this.setState(name, state);
+		};
+
+		handle('action', async ({ service: name, action, data }) => {
+			commit(name, await reduce(name, action, data, getService(name).state));
+
+			return { ok: true };
+		});
+
+		handle('batch', async ({ mode = 'parallel', stopOnError = true, actions = [] }) => {
+			const results = actions.map(() => ({ skipped: true }));
+
+			// Runs an action of the batch, with the failures injected for 'action'
+			const run = async ({ service: name, action, data }, states) => {
+				const injected = this._nextFailure('action');
+
+				if (injected && injected.failure === MOCK_FAILURE.DROP) return new Promise(() => {});
+				if (injected) return { error: injected.error };
+
+				try {
+					const state = await reduce(name, action, data, name in states ? states[name] : getService(name).state);
+
+					states[name] = state;
+
+					return { response: { ok: true } };
+				} catch (e) {
+					return { error: { message: e.message, code: e.code } };
+				}
+			};
+
+			if (mode === 'parallel') {
+				await Promise.all(actions.map(async (entry, index) => {
+					const states = {};
+					results[index] = await run(entry, states);
+
+					if (states[entry.service] !== undefined) commit(entry.service, states[entry.service]);
+				}));
+
+				return { results };
+			}
+
+			// Sequential batches apply every action right away, atomic ones only once all succeeded
+			const states = {};
+
+			for (const [index, entry] of actions.entries()) {
+				results[index] = await run(entry, states);
+
+				if (results[index].error) {
+					if (mode === 'atomic') {
+						return { results: results.map((result, other) => other === index ? result : { skipped: true }) };
+					}
+
+					if (stopOnError) break;
+				} else if (mode === 'sequential') {
+					commit(entry.service, states[entry.service]);
+				}
+			}
+
+			if (mode === 'atomic') {
+				for (const name in states) commit(name, states[name]);
+			}
+
+			return { results };
+		});
+	}
+}
+
+/**
+ * Create and start a {@link MockServer}.
+ *
+ * @param {object} [options] - See {@link MockServer}.
+ * @return {Promise<MockServer>}
+ * @since 1.2.0
+ * @example
+ * const server = await createMockServer({ token: 'secret' });
+ * server.service('lights', { state: { on: false }, actions: { TOGGLE: state => ({ on: !state.on }) } });
+ *
+ * const client = new MissionControlClient(server.url, 'secret');
+ * await client.action('lights', 'TOGGLE');
+ *
+ * await server.close();
+ */
+export function createMockServer(options) {
+	return new MockServer(options).listen();
+}
@@ -0,0 +1,139 @@
+import { DISCONNECT_REASON } from '../constants.js';
+import { TransportError } from '../errors.js';
+import { Transport } from './Transport.js';
+
+/**
+ * A transport that talks to a server implemented in the same process, e.g. in tests or on devices
+ * where the client and the server run together.
+ *
+ * The server is a map of handlers, one per event the client emits. A handler receives the data and the transport
+ * and returns the response (or a promise of it). Use {@link MemoryTransport#send} to send events to the client.
+ * Everything is delivered asynchronously, like over a network.
+ *
+ * @since 1.2.0
+ * @example
+ * const transport = new MemoryTransport({
+ * 	authenticate: ({ token }) => ({ ok: token === 'secret' }),
+ * 	subscribe: ({ service }, transport) => {
+ * 		transport.send('sync', { service, state: { on: false } });
+ *
+ * 		return { ok: true };
+ * 	},
+ * 	action: ({ service, action, data }) => ({ ok: true })
+ * });
+ *
+ * const client = new MissionControlClient('memory://', 'secret', { transport });
+ */
+export class MemoryTransport extends Transport {
+	/**
+	 * @param {Record<string, function(data: object, transport: MemoryTransport): object|Promise<object>>} [handlers={}]
+	 */
+	constructor(handlers = {}) {
+		super();
+
+		this.handlers = handlers;
+		this.connected = false;
+		this.active = false;
+
+		/**
+		 * Ack callbacks of the emits waiting for their handler.
+		 * @type {Set<function>}
+		 */
+		this._pending = new Set();
+	}
+
+	_defer(callback) {
+		setTimeout(callback, 0);
+	}
+
+	connect() {
+		if (this.active) return;
+
+		this.active = true;
+
+		this._defer(() => {
+			if (!this.active || this.connected) return;
+
+			this.connected = true;
+			this._emitLocal('connect');
+		});
+	}
+
+	close() {
+		const wasConnected = this.connected;
+
+		this.connected = false;
+		this.active = false;
+		this._failPending('The connection was closed before the server answered.');
+
+		if (wasConnected) this._emitLocal('disconnect', DISCONNECT_REASON.CLIENT_DISCONNECT);
+	}
+
+	emit(event, data, ack) {
+		if (!this.connected) {
+			if (ack) ack(new TransportError(`Can't send '${event}' while disconnected.`));
+
+			return;
+		}
+
+		if (ack) this._pending.add(ack);
+
+		this._defer(async () => {
+			const handler = this.handlers[event];
+			let response;
+
+			try {
+				if (!handler) throw new Error(`No handler for '${event}'.`);
+
+				response = await handler(data, this);
+			} catch (e) {
+				response = { error: { message: e.message, code: e.code } };
+			}
+
+			// If the connection was lost in the meantime, the ack was already called with an error
+			if (ack && this._pending.delete(ack)) ack(response);
+		});
+	}
+
+	/**
+	 * Answer all emits waiting for their handler with an error.
+	 * @param {string} message
+	 */
+	_failPending(message) {
+		const pending = [...this._pending];
+		this._pending.clear();
+
+		for (const ack of pending) ack(new TransportError(message));
+	}
+
+	/**
+	 * Send an event from the server to the client.
+	 * @param {string} event
+	 * @param {...any} args
+	 */
+	send(event, ...args) {
+		this._defer(() => {
+			if (this.connected) this._emitLocal('event', event, ...args);
+		});
+	}
+
+	/**
+	 * Simulate a lost connection. The transport reconnects right away, like socket.io would.
+	 */
+	drop() {
+		if (!this.connected) return;
+
+		this.connected = false;
+		this._failPending('The connection was lost before the server answered.');
+		this._emitLocal('disconnect', DISCONNECT_REASON.UNKNOWN);
+
+		this._defer(() => {
+			if (!this.active) return;
+
+			this._emitLocal('reconnect_attempt', 1);
+
+			this.connected = true;
+			this._emitLocal('connect');
+		});
+	}
+}
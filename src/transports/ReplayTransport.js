@@ -0,0 +1,212 @@
+import { DISCONNECT_REASON } from '../constants.js';
+import { Transport } from './Transport.js';
+
+/**
+ * Parse a session log recorded by the {@link SessionRecorder}.
+ * @param {string} ndjson
+ * @return {Array<object>} The entries.
+ * @since 1.2.0
+ */
+export function parseSession(ndjson) {
+	return ndjson
+		.split('\n')
+		.filter(line => line.trim() !== '')
+		.map(line => JSON.parse(line));
+}
+
+/**
+ * A transport that replays a session recorded by the {@link SessionRecorder}, without a network.
+ *
+ * Connects, disconnects, server events and acknowledgements are replayed in the order and at the time they were recorded.
+ * Every emit of the client is matched with the next recorded emit with the same event, service and action.
+ * Its recorded acknowledgement is delivered at the recorded time, or right away if the client emits later than in the recording.
+ * Emits that weren't acknowledged in the recording aren't answered, so the client runs into the same timeouts.
+ *
+ * Pass it to the client with the `transport` option.
+ *
+ * @since 1.2.0
+ * @example
+ * const transport = new ReplayTransport(fs.readFileSync('session.ndjson', 'utf8'), { speed: 10 });
+ * const client = new MissionControlClient('http://replay', 'token', { transport });
+ *
+ * await transport.finished;
+ */
+export class ReplayTransport extends Transport {
+	/**
+	 * @param {string|Array<object>} session - The recorded NDJSON log or its parsed entries.
+	 * @param {object} [options]
+	 * @param {number} [options.speed=1] - How much faster than recorded to replay. `Infinity` replays without any delays.
+	 */
+	constructor(session, { speed = 1 } = {}) {
+		super();
+
+		const entries = typeof session === 'string' ? parseSession(session) : session;
+
+		if (!(speed > 0)) throw new Error('The replay speed has to be greater than 0.');
+
+		this.speed = speed;
+
+		/**
+		 * The entries that are replayed: transport events, server events and acknowledgements.
+		 * @type {Array<object>}
+		 */
+		this._timeline = entries.filter(entry => ['transport', 'receive', 'ack'].includes(entry.type));
+
+		/**
+		 * The recorded emits that haven't been matched with an emit of the client yet.
+		 * @type {Array<object>}
+		 */
+		this._emits = entries.filter(entry => entry.type === 'emit');
+
+		/**
+		 * Ack callbacks of the client, by the id of the recorded emit they were matched with.
+		 * @type {Record<number, function>}
+		 */
+		this._waiting = {};
+
+		/**
+		 * Recorded responses whose emit the client hasn't sent yet, by emit id.
+		 * @type {Record<number, object>}
+		 */
+		this._answers = {};
+
+		/**
+		 * Emits of the client that have no counterpart in the recording, i.e. where the replay diverged.
+		 * @type {Array<{ event: string, data: object }>}
+		 */
+		this.unmatched = [];
+
+		this.connected = false;
+		this.active = false;
+
+		this._timers = [];
+
+		/**
+		 * Resolves once the whole timeline was replayed.
+		 * @type {Promise<void>}
+		 */
+		this.finished = new Promise(resolve => {
+			this._finish = resolve;
+		});
+	}
+
+	_delay(ms) {
+		return this.speed === Infinity ? 0 : ms / this.speed;
+	}
+
+	_schedule(ms, callback) {
+		this._timers.push(setTimeout(callback, this._delay(ms)));
+	}
+
+	/**
+	 * Start replaying the timeline.
+	 */
+	connect() {
+		if (this.active) return;
+
+		this.active = true;
+
+		// Timers with the same delay run in the order they were created, so the order is kept even without delays
+		for (const entry of this._timeline) {
+			this._schedule(entry.t, () => this._replay(entry));
+		}
+
+		const end = this._timeline.length > 0 ? this._timeline[this._timeline.length - 1].t : 0;
+		this._schedule(end, () => this._finish());
+	}
+
+	/**
+	 * Stop replaying, like a client side disconnect.
+	 */
+	close() {
+		this._timers.forEach(clearTimeout);
+		this._timers = [];
+
+		const wasConnected = this.connected;
+
+		this.connected = false;
+		this.active = false;
+
+		if (wasConnected) this._emitLocal('disconnect', DISCONNECT_REASON.CLIENT_DISCONNECT);
+
+		this._finish();
+	}
+
+	/**
+	 * Match an emit of the client with a recorded one, so it gets the recorded acknowledgement.
+	 * @param {string} event
+	 * @param {object} data
+	 * @param {function(response: object)} [ack]
+	 */
+	emit(event, data, ack) {
+		const matches = entry => entry.event === event
+			&& (entry.data && entry.data.service) === (data && data.service)
+			&& (entry.data && entry.data.action) === (data && data.action);
+
+		const index = this._emits.findIndex(matches);
+
+		if (index === -1) {
+			this.unmatched.push({ event, data });
+
+			return;
+		}
+
+		const [{ id }] = this._emits.splice(index, 1);
+
+		if (!ack) return;
+
+		if (id in this._answers) {
+			// The client is late, the acknowledgement is already due
+			const response = this._answers[id];
+			delete this._answers[id];
+
+			this._schedule(0, () => ack(response));
+		} else {
+			this._waiting[id] = ack;
+		}
+	}
+
+	_replay(entry) {
+		const { type, event } = entry;
+		let { args } = entry;
+
+		if (type === 'receive') {
+			return this._emitLocal('event', event, ...args);
+		}
+
+		if (type === 'ack') {
+			// The client gave up waiting in the recording, there is nothing to deliver
+			if (!('response' in entry)) return;
+
+			if (this._waiting[entry.id]) {
+				const ack = this._waiting[entry.id];
+				delete this._waiting[entry.id];
+
+				ack(entry.response);
+			} else {
+				this._answers[entry.id] = entry.response;
+			}
+
+			return;
+		}
+
+		switch (event) {
+			case 'connect':
+				this.connected = true;
+				break;
+			case 'disconnect':
+				this.connected = false;
+				// Transports don't reconnect after an intentional disconnect
+				this.active = args[0] !== DISCONNECT_REASON.SERVER_DISCONNECT && args[0] !== DISCONNECT_REASON.CLIENT_DISCONNECT;
+				break;
+			case 'connect_error':
+				args = [Object.assign(new Error(args[0] && args[0].message), args[0])];
+				break;
+			case 'reconnect_failed':
+				this.active = false;
+				break;
+		}
+
+		this._emitLocal(event, ...args);
+	}
+}
@@ -0,0 +1,251 @@
+import socketIO from 'socket.io-client';
+
+import { DISCONNECT_REASON } from '../constants.js';
+import { TransportError } from '../errors.js';
+import { Transport } from './Transport.js';
+
+/**
+ * The options the transport sets itself, so they can't be passed in `socketOptions`.
+ */
+const RESERVED_SOCKET_OPTIONS = ['autoConnect', 'path', 'reconnection', 'reconnectionAttempts', 'reconnectionDelay', 'reconnectionDelayMax'];
+
+function isPlainObject(value) {
+	return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+function isDelay(value) {
+	return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Check the connection options, so typos and wrong types fail loudly instead of being ignored by socket.io.
+ * @param {object} options
+ * @param {object} unknown - The options we don't know.
+ * @throws {Error} If an option is invalid.
+ */
+function validateOptions({ path, reconnection, reconnectionAttempts, reconnectionDelay, reconnectionDelayMax, socketOptions }, unknown) {
+	const unknownKeys = Object.keys(unknown);
+
+	if (unknownKeys.length > 0) {
+		throw new Error(
+			`Unknown connection option(s): ${unknownKeys.join(', ')}. ` +
+			'Pass other socket.io options in socketOptions.'
+		);
+	}
+
+	if (typeof path !== 'string' || !path.startsWith('/')) {
+		throw new Error(`The connection path has to be a string starting with '/', got ${JSON.stringify(path)}.`);
+	}
+
+	if (typeof reconnection !== 'boolean') {
+		throw new Error('The reconnection option has to be a boolean.');
+	}
+
+	if (!(reconnectionAttempts === Infinity || (Number.isInteger(reconnectionAttempts) && reconnectionAttempts >= 0))) {
+		throw new Error('The reconnectionAttempts option has to be a non-negative integer or Infinity.');
+	}
+
+	if (!isDelay(reconnectionDelay) || !isDelay(reconnectionDelayMax)) {
+		throw new Error('The reconnectionDelay and reconnectionDelayMax options have to be non-negative numbers of ms.');
+	}
+
+	if (reconnectionDelayMax < reconnectionDelay) {
+		throw new Error('The reconnectionDelayMax option can\'t be smaller than reconnectionDelay.');
+	}
+
+	if (!isPlainObject(socketOptions)) {
+		throw new Error('The socketOptions option has to be an object.');
+	}
+
+	const reserved = Object.keys(socketOptions).filter(key => RESERVED_SOCKET_OPTIONS.includes(key));
+
+	if (reserved.length > 0) {
+		throw new Error(
+			`${reserved.join(', ')} can't be passed in socketOptions. ` +
+			'Use the connection options of the same name instead (autoConnect is an option of the client).'
+		);
+	}
+}
+
+/**
+ * The default transport, talking to the server with socket.io.
+ *
+ * Reconnects on its own after losing the connection, unless `reconnection` is disabled.
+ * The delay between attempts starts at `reconnectionDelay` and doubles with every attempt, up to `reconnectionDelayMax`.
+ * While reconnecting the client's status is `reconnecting`, once out of attempts it's `closed` with a `NO_ATTEMPTS_LEFT` error.
+ *
+ * @since 1.2.0
+ * @example
+ * const client = new MissionControlClient(url, token, {
+ * 	transport: new SocketIOTransport(url, { path: '/mission-control/socket.io' })
+ * });
+ */
+export class SocketIOTransport extends Transport {
+	/**
+	 * @param {string} url - The mission control url.
+	 * @param {object} [options]
+	 * @param {string} [options.path='/api/socket.io'] - The path socket.io is mounted at, e.g. behind a reverse proxy.
+	 * @param {boolean} [options.reconnection=true] - Whether to reconnect after losing the connection.
+	 * @param {number} [options.reconnectionAttempts=Infinity] - How often to try reconnecting before giving up.
+	 * @param {number} [options.reconnectionDelay=1000] - The delay in ms before the first attempt.
+	 * @param {number} [options.reconnectionDelayMax=5000] - The maximum delay in ms between attempts.
+	 * @param {object} [options.socketOptions={}] - Any other socket.io client options, e.g. `transports`, `extraHeaders`,
+	 * `query` or, in Node.js, `ca`, `rejectUnauthorized` and `agent` for TLS and proxies.
+	 * @throws {Error} If an option is invalid.
+	 */
+	constructor(url, {
+		path = '/api/socket.io',
+		reconnection = true,
+		reconnectionAttempts = Infinity,
+		reconnectionDelay = 1000,
+		reconnectionDelayMax = 5000,
+		socketOptions = {},
+		...unknown
+	} = {}) {
+		super();
+
+		validateOptions({ path, reconnection, reconnectionAttempts, reconnectionDelay, reconnectionDelayMax, socketOptions }, unknown);
+
+		/**
+		 * The underlying socket.io socket.
+		 * @type {socket.io-client~Socket}
+		 */
+		this.socket = socketIO(url, {
+			...socketOptions,
+			path,
+			reconnection,
+			reconnectionAttempts,
+			reconnectionDelay,
+			reconnectionDelayMax,
+			autoConnect: false
+		});
+
+		/**
+		 * Without reconnection, socket.io stays "active" after losing the connection, although it won't do anything anymore.
+		 * @type {boolean}
+		 */
+		this._gaveUp = false;
+
+		/**
+		 * Ack callbacks of the emits waiting for an answer.
+		 * @type {Set<function>}
+		 */
+		this._pending = new Set();
+
+		/**
+		 * Connects once the engine of the last connection is closed, see {@link SocketIOTransport#connect}.
+		 * @type {function|null}
+		 */
+		this._connectAfterClose = null;
+
+		this.socket.on('connect', () => this._emitLocal('connect'));
+		this.socket.on('disconnect', reason => {
+			if (!reconnection) this._gaveUp = true;
+
+			// socket.io would never call the acks of the lost connection
+			this._failPending(reason === 'io client disconnect'
+				? 'The connection was closed before the server answered.'
+				: 'The connection was lost before the server answered.');
+
+			this._emitLocal('disconnect', this._disconnectReason(reason));
+		});
+		this.socket.on('connect_error', error => {
+			if (!reconnection) this._gaveUp = true;
+
+			this._emitLocal('connect_error', error);
+		});
+
+		// Since socket.io v3 the reconnection events are emitted by the manager (socket.io) and not by the socket.
+		this.socket.io.on('reconnect_attempt', attempt => this._emitLocal('reconnect_attempt', attempt));
+		this.socket.io.on('reconnect_failed', () => this._emitLocal('reconnect_failed'));
+
+		// Every event sent by the server
+		this.socket.onAny((event, ...args) => this._emitLocal('event', event, ...args));
+	}
+
+	get connected() {
+		return this.socket.connected;
+	}
+
+	get active() {
+		return (this.socket.active || !!this._connectAfterClose) && !this._gaveUp;
+	}
+
+	connect() {
+		// A socket that gave up is still "active" for socket.io, so it has to be reset first
+		if (this._gaveUp) this.socket.disconnect();
+
+		this._gaveUp = false;
+
+		if (this._connectAfterClose) return;
+
+		// Right after close() the engine might still be sending the disconnect packet. socket.io keeps listening to it,
+		// so its 'close' event would tear down the new connection. We wait for it instead.
+		const engine = this.socket.io.engine;
+
+		if (engine && engine.readyState === 'closing') {
+			this._connectAfterClose = () => {
+				this._connectAfterClose = null;
+				this.socket.connect();
+			};
+
+			engine.once('close', this._connectAfterClose);
+
+			return;
+		}
+
+		this.socket.connect();
+	}
+
+	close() {
+		if (this._connectAfterClose) {
+			this.socket.io.engine.off('close', this._connectAfterClose);
+			this._connectAfterClose = null;
+		}
+
+		this.socket.disconnect();
+	}
+
+	emit(event, data, ack) {
+		// socket.io would buffer the emit and send it right after reconnecting, before we could authenticate again
+		if (!this.socket.connected) {
+			if (ack) ack(new TransportError(`Can't send '${event}' while disconnected.`));
+
+			return;
+		}
+
+		if (!ack) {
+			this.socket.emit(event, data);
+
+			return;
+		}
+
+		const callback = response => {
+			if (this._pending.delete(callback)) ack(response);
+		};
+
+		this._pending.add(callback);
+		this.socket.emit(event, data, callback);
+	}
+
+	/**
+	 * Answer all emits waiting for an answer with an error.
+	 * @param {string} message
+	 */
+	_failPending(message) {
+		for (const callback of [...this._pending]) callback(new TransportError(message));
+	}
+
+	_disconnectReason(reason) {
+		switch (reason) {
+			case 'io server disconnect':
+				return DISCONNECT_REASON.SERVER_DISCONNECT;
+			case 'io client disconnect':
+				return DISCONNECT_REASON.CLIENT_DISCONNECT;
+			case 'ping timeout':
+				return DISCONNECT_REASON.PING_TIMEOUT;
+			default:
+				return DISCONNECT_REASON.UNKNOWN;
+		}
+	}
+}
@@ -0,0 +1,84 @@
+/**
+ * The base class of all transports, the layer the client talks to the server through.
+ *
+ * A transport implements:
+ *
+ * - `connect()`: Start connecting. Transports that support it reconnect on their own after losing the connection.
+ * - `close()`: Disconnect on purpose, without reconnecting.
+ * - `emit(event, data, ack)`: Send an event to the server. `ack` is called with the server's response, or with a
+ *   {@link TransportError} if there is no connection or it's lost before the response arrives.
+ * - `connected`: Whether the transport is connected.
+ * - `active`: Whether the transport is connected or trying to (re)connect.
+ *
+ * and emits these events, which you can listen to with `on(event, listener)`:
+ *
+ * - `connect`: The connection was established.
+ * - `disconnect` (reason: {@link DISCONNECT_REASON}): The connection was closed or lost.
+ * - `connect_error` (error: Error): Connecting failed.
+ * - `reconnect_attempt` (attempt: number): Trying to reconnect.
+ * - `reconnect_failed`: Gave up reconnecting.
+ * - `event` (event: string, ...args): The server sent an event.
+ *
+ * @since 1.2.0
+ */
+export class Transport {
+	constructor() {
+		/** @type {Record<string, Array<function>>} */
+		this._listeners = {};
+	}
+
+	/**
+	 * Listen to an event of the transport.
+	 * @param {string} event
+	 * @param {function} listener
+	 * @return {function} A function to remove the listener again.
+	 */
+	on(event, listener) {
+		(this._listeners[event] = this._listeners[event] || []).push(listener);
+
+		return () => this.off(event, listener);
+	}
+
+	/**
+	 * Remove a listener.
+	 * @param {string} event
+	 * @param {function} listener
+	 */
+	off(event, listener) {
+		if (this._listeners[event]) {
+			this._listeners[event] = this._listeners[event].filter(l => l !== listener);
+		}
+	}
+
+	/**
+	 * Remove all listeners.
+	 */
+	removeAllListeners() {
+		this._listeners = {};
+	}
+
+	/**
+	 * Call the listeners of an event.
+	 * @protected
+	 * @param {string} event
+	 * @param {...any} args
+	 */
+	_emitLocal(event, ...args) {
+		// Listeners might remove themselves while we're looping
+		for (const listener of (this._listeners[event] || []).slice()) {
+			listener(...args);
+		}
+	}
+
+	connect() {
+		throw new Error(`${this.constructor.name} doesn't implement connect().`);
+	}
+
+	close() {
+		throw new Error(`${this.constructor.name} doesn't implement close().`);
+	}
+
+	emit() {
+		throw new Error(`${this.constructor.name} doesn't implement emit().`);
+	}
+}
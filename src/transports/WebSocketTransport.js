@@ -0,0 +1,220 @@
+import { DISCONNECT_REASON } from '../constants.js';
+import { TransportError } from '../errors.js';
+import { Transport } from './Transport.js';
+
+/**
+ * A transport using a plain WebSocket with JSON-RPC 2.0 style messages, for servers and devices without socket.io.
+ *
+ * Emits are sent as requests (`{ jsonrpc: '2.0', id, method: event, params: data }`) and acknowledged with
+ * a response (`{ jsonrpc: '2.0', id, result }` or `{ jsonrpc: '2.0', id, error }`). Events of the server are
+ * notifications without an id (`{ jsonrpc: '2.0', method: event, params }`).
+ *
+ * Reconnects with an exponential backoff after losing the connection, unless the server closed it normally (code 1000).
+ *
+ * @since 1.2.0
+ * @example
+ * import WebSocket from 'ws'; // Only needed in Node.js versions without a global WebSocket
+ *
+ * const client = new MissionControlClient(url, token, {
+ * 	transport: new WebSocketTransport('ws://localhost/api/rpc', { WebSocket })
+ * });
+ */
+export class WebSocketTransport extends Transport {
+	/**
+	 * @param {string} url - The WebSocket url.
+	 * @param {object} [options]
+	 * @param {function} [options.WebSocket=globalThis.WebSocket] - The WebSocket implementation to use.
+	 * @param {string|Array<string>} [options.protocols] - The WebSocket sub-protocols.
+	 * @param {boolean} [options.reconnection=true] - Whether to reconnect after losing the connection.
+	 * @param {number} [options.reconnectionAttempts=Infinity] - How often to try reconnecting before giving up.
+	 * @param {number} [options.reconnectionDelay=1000] - The delay in ms before the first attempt, doubled with every attempt.
+	 * @param {number} [options.reconnectionDelayMax=5000] - The maximum delay in ms between attempts.
+	 */
+	constructor(url, {
+		WebSocket = globalThis.WebSocket,
+		protocols,
+		reconnection = true,
+		reconnectionAttempts = Infinity,
+		reconnectionDelay = 1000,
+		reconnectionDelayMax = 5000
+	} = {}) {
+		super();
+
+		if (!WebSocket) {
+			throw new Error('There is no global WebSocket, pass an implementation with the WebSocket option.');
+		}
+
+		this.url = url;
+		this.WebSocket = WebSocket;
+		this.protocols = protocols;
+		this.reconnection = reconnection;
+		this.reconnectionAttempts = reconnectionAttempts;
+		this.reconnectionDelay = reconnectionDelay;
+		this.reconnectionDelayMax = reconnectionDelayMax;
+
+		this.connected = false;
+		this.active = false;
+
+		this._ws = null;
+		this._nextId = 0;
+		this._attempts = 0;
+		this._reconnectTimer = null;
+
+		/**
+		 * Ack callbacks of the requests waiting for a response, by request id.
+		 * @type {Record<number, function>}
+		 */
+		this._pending = {};
+	}
+
+	connect() {
+		if (this.active) return;
+
+		this.active = true;
+		this._attempts = 0;
+		this._open();
+	}
+
+	close() {
+		const wasConnected = this.connected;
+
+		this.active = false;
+		this.connected = false;
+		this._failPending('The connection was closed before the server answered.');
+
+		clearTimeout(this._reconnectTimer);
+
+		if (this._ws) {
+			// We report the disconnect right away, so we're not interested in what the socket has to say anymore
+			this._ws.onopen = this._ws.onmessage = this._ws.onerror = this._ws.onclose = null;
+			this._ws.close(1000);
+			this._ws = null;
+		}
+
+		if (wasConnected) this._emitLocal('disconnect', DISCONNECT_REASON.CLIENT_DISCONNECT);
+	}
+
+	emit(event, data, ack) {
+		// We don't buffer emits until we're connected again
+		if (!this.connected) {
+			if (ack) ack(new TransportError(`Can't send '${event}' while disconnected.`));
+
+			return;
+		}
+
+		const message = { jsonrpc: '2.0', method: event, params: data };
+
+		// Without an ack we send a notification, so the server doesn't need to respond
+		if (ack) {
+			message.id = this._nextId++;
+			this._pending[message.id] = ack;
+		}
+
+		this._ws.send(JSON.stringify(message));
+	}
+
+	_open() {
+		const ws = new this.WebSocket(this.url, this.protocols);
+		this._ws = ws;
+
+		ws.onopen = () => {
+			this.connected = true;
+			this._attempts = 0;
+			this._emitLocal('connect');
+		};
+
+		ws.onmessage = ({ data }) => this._onMessage(data);
+
+		let connectError = null;
+
+		ws.onerror = event => {
+			// Errors are always followed by a close event, which reports them
+			if (!this.connected) connectError = event.error || new Error(event.message || 'WebSocket error');
+		};
+
+		ws.onclose = ({ code }) => {
+			const wasConnected = this.connected;
+
+			this._ws = null;
+			this.connected = false;
+
+			// Responses for the lost connection never arrive
+			this._failPending('The connection was lost before the server answered.');
+
+			// The server closing normally is like socket.io's server disconnect, we don't reconnect
+			if (wasConnected && code === 1000) {
+				this.active = false;
+				this._emitLocal('disconnect', DISCONNECT_REASON.SERVER_DISCONNECT);
+
+				return;
+			}
+
+			// Listeners check whether we're still active to tell if we'll try again
+			if (!this.reconnection) this.active = false;
+
+			if (wasConnected) {
+				this._emitLocal('disconnect', DISCONNECT_REASON.UNKNOWN);
+			} else {
+				this._emitLocal('connect_error', connectError || new Error(`The connection was closed with code ${code}.`));
+			}
+
+			this._reconnect();
+		};
+	}
+
+	/**
+	 * Answer all requests waiting for a response with an error.
+	 * @param {string} message
+	 */
+	_failPending(message) {
+		const pending = this._pending;
+		this._pending = {};
+
+		for (const ack of Object.values(pending)) ack(new TransportError(message));
+	}
+
+	_reconnect() {
+		// A listener might have closed the transport in the meantime
+		if (!this.reconnection || !this.active) return;
+
+		if (this._attempts >= this.reconnectionAttempts) {
+			this.active = false;
+			this._emitLocal('reconnect_failed');
+
+			return;
+		}
+
+		this._attempts++;
+
+		const delay = Math.min(this.reconnectionDelay * 2 ** (this._attempts - 1), this.reconnectionDelayMax);
+
+		this._reconnectTimer = setTimeout(() => {
+			this._emitLocal('reconnect_attempt', this._attempts);
+			this._open();
+		}, delay);
+	}
+
+	_onMessage(raw) {
+		let message;
+
+		try {
+			message = JSON.parse(raw);
+		} catch (e) {
+			return this._emitLocal('connect_error', new Error(`Received invalid JSON: ${e.message}`));
+		}
+
+		// A response to one of our requests
+		if (message.id !== undefined && message.id !== null && !message.method) {
+			const ack = this._pending[message.id];
+			delete this._pending[message.id];
+
+			if (ack) ack('error' in message ? { error: message.error } : message.result);
+
+			return;
+		}
+
+		if (message.method) {
+			this._emitLocal('event', message.method, message.params);
+		}
+	}
+}
@@ -0,0 +1,147 @@
+/*
+ * Generates TypeScript service maps from action catalogues, see `mission-control types`.
+ *
+ * JSON Schemas are translated to the closest TypeScript type. Objects are closed unless the schema allows
+ * additional properties explicitly, so typos in action data are caught by the compiler. Keywords without
+ * a TypeScript equivalent (e.g. `minimum` or `pattern`) are left to the runtime validation.
+ */
+
+const IDENTIFIER = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+function propertyName(name) {
+	return IDENTIFIER.test(name) ? name : JSON.stringify(name);
+}
+
+function comment(description, indent) {
+	if (!description) return '';
+
+	return `${indent}/** ${String(description).replace(/\*\//g, '*\\/').replace(/\n/g, ' ')} */\n`;
+}
+
+function union(types) {
+	const unique = [...new Set(types)];
+
+	return unique.length === 1 ? unique[0] : unique.map(type => type.includes(' ') && !type.startsWith('{') ? `(${type})` : type).join(' | ');
+}
+
+function objectType(schema, indent) {
+	const properties = schema.properties || {};
+	const required = schema.required || [];
+	const inner = indent + '\t';
+	const additional = schema.additionalProperties;
+
+	if (Object.keys(properties).length === 0) {
+		if (additional && additional !== true) return `Record<string, ${schemaToType(additional, indent)}>`;
+
+		return additional === true ? 'Record<string, unknown>' : '{}';
+	}
+
+	const lines = Object.entries(properties).map(([name, property]) =>
+		`${comment(property && property.description, inner)}${inner}${propertyName(name)}${required.includes(name) ? '' : '?'}: ${schemaToType(property, inner)};`
+	);
+
+	// An index signature has to fit every property, so we can't be more specific than unknown here
+	if (additional !== undefined && additional !== false) {
+		lines.push(`${inner}[key: string]: unknown;`);
+	}
+
+	return `{\n${lines.join('\n')}\n${indent}}`;
+}
+
+function typeFor(type, schema, indent) {
+	switch (type) {
+		case 'string':
+		case 'boolean':
+		case 'null':
+			return type;
+		case 'number':
+		case 'integer':
+			return 'number';
+		case 'array':
+			return schema.items === undefined || schema.items === true
+				? 'unknown[]'
+				: `Array<${schemaToType(schema.items, indent)}>`;
+		case 'object':
+			return objectType(schema, indent);
+		default:
+			return 'unknown';
+	}
+}
+
+/**
+ * Translate a JSON Schema to a TypeScript type.
+ *
+ * @param {object|boolean} schema
+ * @param {string} [indent=''] - The indentation of the line the type starts on.
+ * @return {string}
+ * @since 1.2.0
+ * @example
+ * schemaToType({ type: 'object', properties: { on: { type: 'boolean' } }, required: ['on'] });
+ * // '{\n\ton: boolean;\n}'
+ */
+export function schemaToType(schema, indent = '') {
+	if (schema === undefined || schema === true) return 'unknown';
+	if (schema === false) return 'never';
+
+	if (schema.const !== undefined) return JSON.stringify(schema.const);
+	if (schema.enum) return union(schema.enum.map(option => JSON.stringify(option)));
+
+	if (schema.anyOf || schema.oneOf) {
+		return union((schema.anyOf || schema.oneOf).map(subschema => schemaToType(subschema, indent)));
+	}
+
+	if (schema.allOf) {
+		return schema.allOf.map(subschema => schemaToType(subschema, indent)).join(' & ');
+	}
+
+	if (Array.isArray(schema.type)) {
+		return union(schema.type.map(type => typeFor(type, schema, indent)));
+	}
+
+	// Schemas often leave out the type of objects
+	const type = schema.type || (schema.properties ? 'object' : undefined);
+
+	return typeFor(type, schema, indent);
+}
+
+/**
+ * Generate a TypeScript module with a service map for {@link MissionControlClient}.
+ *
+ * @param {Array<ActionCatalogue>} catalogues - The catalogues of the services, see {@link MissionControlClient#describe}.
+ * @param {object} [options]
+ * @param {string} [options.name='Services'] - The name of the service map interface.
+ * @param {string} [options.packageName='mission-control-client'] - Where to import the client type from.
+ * @return {string} The TypeScript source.
+ * @since 1.2.0
+ * @example
+ * const catalogues = await Promise.all(['lights', 'garage'].map(service => client.describe(service)));
+ *
+ * fs.writeFileSync('services.ts', generateServiceTypes(catalogues));
+ */
+export function generateServiceTypes(catalogues, { name = 'Services', packageName = 'mission-control-client' } = {}) {
+	const services = catalogues.map(({ service, stateSchema, actions }) => {
+		const actionLines = Object.entries(actions || {}).map(([action, { description, schema } = {}]) =>
+			`${comment(description, '\t\t\t')}\t\t\t${propertyName(action)}: ${schemaToType(schema, '\t\t\t')};`
+		);
+
+		return [
+			`\t${propertyName(service)}: {`,
+			`\t\tstate: ${schemaToType(stateSchema, '\t\t')};`,
+			actionLines.length > 0 ? `\t\tactions: {\n${actionLines.join('\n')}\n\t\t};` : '\t\tactions: {};',
+			'\t};'
+		].join('\n');
+	});
+
+	return [
+		'// Generated by `mission-control types`. Do not edit, generate it again when the services change.',
+		'',
+		`import type { MissionControlClient } from '${packageName}';`,
+		'',
+		`export interface ${name} {`,
+		services.join('\n'),
+		'}',
+		'',
+		`export type ${name}Client = MissionControlClient<${name}>;`,
+		''
+	].join('\n');
+}
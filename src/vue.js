@@ -0,0 +1,124 @@
+/*
+ * Vue 3 bindings for the mission control client, available as 'mission-control-client/vue'.
+ */
+
+import { computed, getCurrentScope, inject, onScopeDispose, shallowRef } from 'vue';
+
+/**
+ * The injection key the client is provided under.
+ * @type {symbol}
+ * @since 1.2.0
+ */
+export const MissionControlKey = Symbol('mission-control');
+
+/**
+ * Create a Vue plugin that provides the client to all components of the app.
+ *
+ * The plugin doesn't manage the client's lifecycle, so you decide when to create and destroy it.
+ *
+ * @param {MissionControlClient} client - The client to provide.
+ * @return {{ install: function(app: object) }}
+ * @since 1.2.0
+ * @example
+ * const client = new MissionControlClient(url, token);
+ *
+ * createApp(App)
+ * 	.use(createMissionControl(client))
+ * 	.mount('#app');
+ */
+export function createMissionControl(client) {
+	if (!client) throw new Error('You need to pass a client to createMissionControl.');
+
+	return {
+		install(app) {
+			app.provide(MissionControlKey, client);
+		}
+	};
+}
+
+/**
+ * Get the client provided by {@link createMissionControl}.
+ * @return {MissionControlClient}
+ * @since 1.2.0
+ */
+export function useMissionControl() {
+	const client = inject(MissionControlKey, null);
+
+	if (!client) throw new Error('useMissionControl has to be used in an app that uses the createMissionControl plugin.');
+
+	return client;
+}
+
+/**
+ * Warn that a listener can't be released, as there is no effect scope to tie it to.
+ * @param {MissionControlClient} client
+ * @param {string} what
+ */
+function warnWithoutScope(client, what) {
+	client.logger.warn(`${what} was called outside of a component or effect scope, its listener is never released.`);
+}
+
+/**
+ * Subscribe to a service for the lifetime of the current effect scope (usually the component).
+ *
+ * The subscription is shared with all other listeners of the service and released when the scope is disposed.
+ * Outside of a component's setup or an effect scope there is nothing to release it with, so it is kept
+ * until the client is destroyed and a warning is logged.
+ *
+ * @param {string} name - The service name.
+ * @return {{ state: Ref<object|null>, ready: Ref<boolean>, action: function(action: string, data: object, options: object): Promise<object> }}
+ * The current state (null until the first sync), whether there is state yet and a function to execute actions on the service.
+ * @since 1.2.0
+ * @example
+ * <script setup>
+ * const { state, ready, action } = useService('lights');
+ * </script>
+ *
+ * <template>
+ * 	<button v-if="ready" @click="action('TOGGLE')">{{ state.on ? 'On' : 'Off' }}</button>
+ * </template>
+ */
+export function useService(name) {
+	const client = useMissionControl();
+	const state = shallowRef(null);
+
+	const handle = client.service(name, newState => {
+		state.value = newState;
+	});
+
+	if (getCurrentScope()) {
+		onScopeDispose(handle.unsubscribe);
+	} else {
+		warnWithoutScope(client, `useService('${name}')`);
+	}
+
+	return {
+		state,
+		ready: computed(() => state.value !== null),
+		action: handle.action
+	};
+}
+
+/**
+ * Get the connection status of the client as a ref.
+ *
+ * Like {@link useService}, the listener is removed when the current effect scope is disposed.
+ * @return {Ref<CONNECTION_STATUS>}
+ * @since 1.2.0
+ */
+export function useConnectionStatus() {
+	const client = useMissionControl();
+	const status = shallowRef(client.status);
+
+	const off = client.on('status', newStatus => {
+		status.value = newStatus;
+	});
+
+	if (getCurrentScope()) {
+		onScopeDispose(off);
+	} else {
+		warnWithoutScope(client, 'useConnectionStatus()');
+	}
+
+	return status;
+}
@@ -0,0 +1,100 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { MissionControlClient, MemoryTransport } from '../src/index.js';
+import { MOCK_FAILURE } from '../src/testing.js';
+import { quietLogger, setup, sentActions, sleep } from './helpers.js';
+
+const counter = { state: { count: 0 }, actions: { INCREMENT: ({ count }, { by = 1 } = {}) => ({ count: count + by }) } };
+
+test('actions executed while offline are replayed in order once connected', async t => {
+	const { server, createClient } = await setup(t);
+	server.service('counter', counter);
+
+	const client = createClient({ autoConnect: false });
+
+	const first = client.action('counter', 'INCREMENT', { by: 1 });
+	const second = client.action('counter', 'INCREMENT', { by: 10 });
+
+	assert.equal(client.queue.size, 2);
+	assert.deepEqual(sentActions(server), []);
+
+	client.connect();
+
+	assert.deepEqual(await Promise.all([first, second]), [{ ok: true }, { ok: true }]);
+	assert.deepEqual(sentActions(server).map(({ data }) => data.by), [1, 10]);
+	assert.deepEqual(server.getState('counter'), { count: 11 });
+	assert.equal(client.queue.size, 0);
+});
+
+test('a replayed action that times out is rejected and not sent again', async t => {
+	const { server, createClient } = await setup(t);
+	server.service('counter', {
+		state: { count: 0 },
+		actions: {
+			INCREMENT: async ({ count }, { by = 1 } = {}) => {
+				await sleep(150);
+
+				return { count: count + by };
+			}
+		}
+	});
+
+	const client = createClient({ autoConnect: false, timeout: 100 });
+
+	const slow = client.action('counter', 'INCREMENT');
+
+	client.connect();
+
+	await assert.rejects(slow, { name: 'TimeoutError' });
+	assert.equal(client.queue.size, 0);
+
+	// Later actions aren't stuck behind it
+	assert.deepEqual(await client.action('counter', 'INCREMENT', { by: 10 }, { timeout: 1000 }), { ok: true });
+	await sleep(100);
+
+	assert.deepEqual(sentActions(server).map(({ data }) => data), [undefined, { by: 10 }]);
+	assert.equal(client.queue.size, 0);
+});
+
+test('a replayed action that could not be sent stays queued until the next connect', async t => {
+	let calls = 0;
+
+	const transport = new MemoryTransport({
+		authenticate: () => ({ ok: true }),
+		action: (data, transport) => {
+			// The connection is lost before the first replay is answered
+			if (++calls === 1) transport.drop();
+
+			return { ok: true };
+		}
+	});
+
+	const client = new MissionControlClient('memory://', 'token', { transport, logger: quietLogger, autoConnect: false });
+	t.after(() => client.destroy());
+
+	const queued = client.action('counter', 'INCREMENT');
+
+	client.connect();
+
+	assert.deepEqual(await queued, { ok: true });
+	assert.equal(calls, 2);
+	assert.equal(client.queue.size, 0);
+});
+
+test('a replayed action the server rejects is removed from the queue', async t => {
+	const { server, createClient } = await setup(t);
+	server.service('counter', counter);
+
+	const client = createClient({ autoConnect: false });
+	server.fail('action', MOCK_FAILURE.REJECT, { error: { message: 'Nope', code: 'NOPE' } });
+
+	const rejected = client.action('counter', 'INCREMENT');
+	const accepted = client.action('counter', 'INCREMENT');
+
+	client.connect();
+
+	await assert.rejects(rejected, { name: 'ActionError', code: 'NOPE' });
+	assert.deepEqual(await accepted, { ok: true });
+	assert.equal(client.queue.size, 0);
+});
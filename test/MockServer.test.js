@@ -0,0 +1,95 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { CONNECTION_STATUS } from '../src/index.js';
+import { MOCK_FAILURE } from '../src/testing.js';
+import { setup, waitFor } from './helpers.js';
+
+const lights = { state: { on: false }, actions: { TOGGLE: state => ({ ...state, on: !state.on }) } };
+
+test('actions run the reducer and the new state is synced to subscribers', async t => {
+	const { server, createClient } = await setup(t);
+	server.service('lights', lights);
+
+	const client = createClient();
+	const handle = client.service('lights', () => {});
+
+	await waitFor(() => handle.state !== null);
+	await client.action('lights', 'TOGGLE');
+	await waitFor(() => handle.state.on === true);
+
+	assert.deepEqual(server.getState('lights'), { on: true });
+	assert.deepEqual(server.received.map(({ event }) => event), ['authenticate', 'subscribe', 'action']);
+});
+
+test('unknown services and actions are rejected with a code', async t => {
+	const { server, createClient } = await setup(t);
+	server.service('lights', lights);
+
+	const client = createClient();
+
+	await assert.rejects(client.action('lights', 'EXPLODE'), { name: 'ActionError', code: 'UNKNOWN_ACTION' });
+	await assert.rejects(client.action('blinds', 'CLOSE'), { name: 'ActionError', code: 'UNKNOWN_SERVICE' });
+});
+
+test('injected failures apply to the given number of calls', async t => {
+	const { server, createClient } = await setup(t);
+	server.service('lights', lights);
+
+	const client = createClient();
+	await client.whenReady();
+
+	server.fail('action', MOCK_FAILURE.REJECT, { error: { message: 'Nope', code: 'NOPE' }, times: 2 });
+
+	await assert.rejects(client.action('lights', 'TOGGLE'), { code: 'NOPE' });
+	await assert.rejects(client.action('lights', 'TOGGLE'), { code: 'NOPE' });
+	assert.deepEqual(await client.action('lights', 'TOGGLE'), { ok: true });
+});
+
+test('only the configured token is accepted', async t => {
+	const { createClient } = await setup(t, { token: 'secret' });
+
+	const client = createClient();
+
+	await waitFor(() => client.status === CONNECTION_STATUS.AUTH_FAILED);
+});
+
+test('dropped connections are reconnected and resubscribed', async t => {
+	const { server, createClient } = await setup(t);
+	server.service('lights', lights);
+
+	const client = createClient({ connection: { reconnectionDelay: 10, reconnectionDelayMax: 10 } });
+	const handle = client.service('lights', () => {});
+
+	await waitFor(() => handle.state !== null);
+
+	const statuses = [];
+	client.on('status', status => statuses.push(status));
+
+	server.disconnectAll();
+	await waitFor(() => statuses.includes(CONNECTION_STATUS.READY));
+
+	assert.deepEqual(statuses, [CONNECTION_STATUS.RECONNECTING, CONNECTION_STATUS.AUTHENTICATING, CONNECTION_STATUS.READY]);
+
+	server.setState('lights', { on: true });
+	await waitFor(() => handle.state.on === true);
+
+	assert.equal(server.received.filter(({ event }) => event === 'subscribe').length, 2);
+});
+
+test('atomic batches only change the state if every action succeeds', async t => {
+	const { server, createClient } = await setup(t);
+	server.service('lights', lights);
+
+	const client = createClient();
+	await client.whenReady();
+
+	server.fail('action', MOCK_FAILURE.REJECT);
+
+	await assert.rejects(client.batch([
+		{ service: 'lights', action: 'TOGGLE' },
+		{ service: 'lights', action: 'TOGGLE' }
+	], { mode: 'atomic' }), { name: 'BatchError' });
+
+	assert.deepEqual(server.getState('lights'), { on: false });
+});
@@ -0,0 +1,145 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { RateLimiter, SOCKET_ERROR } from '../src/index.js';
+import { quietLogger, setup, sentActions, sleep, waitFor } from './helpers.js';
+
+async function slider(t, rateLimit) {
+	const { server, createClient } = await setup(t);
+
+	server.service('lights', {
+		state: { brightness: 0 },
+		actions: {
+			SET_BRIGHTNESS: (state, { brightness }) => ({ brightness }),
+			SLOW: async state => {
+				await sleep(100);
+
+				return state;
+			}
+		}
+	});
+
+	const client = createClient({ rateLimit });
+	await client.whenReady();
+
+	return { server, client };
+}
+
+const brightnessSent = server => sentActions(server).filter(({ action }) => action === 'SET_BRIGHTNESS').map(({ data }) => data.brightness);
+
+test('debounced calls are coalesced and all settle with the result of the latest one', async t => {
+	const { server, client } = await slider(t, { policies: { 'lights:SET_BRIGHTNESS': { debounce: 50 } } });
+
+	const calls = [10, 20, 30].map(brightness => client.action('lights', 'SET_BRIGHTNESS', { brightness }));
+
+	assert.deepEqual(await Promise.all(calls), [{ ok: true }, { ok: true }, { ok: true }]);
+	assert.deepEqual(brightnessSent(server), [30]);
+	assert.deepEqual(server.getState('lights'), { brightness: 30 });
+});
+
+test('throttled calls are sent right away and then at most once per interval', async t => {
+	const { server, client } = await slider(t, { policies: { 'lights:*': { throttle: 100 } } });
+
+	const calls = [];
+
+	for (let brightness = 1; brightness <= 5; brightness++) {
+		calls.push(client.action('lights', 'SET_BRIGHTNESS', { brightness }));
+		await sleep(10);
+	}
+
+	await Promise.all(calls);
+
+	assert.deepEqual(brightnessSent(server), [1, 5]);
+});
+
+test('maxInFlight limits how many actions wait for the server at once', async t => {
+	const { server, client } = await slider(t, { maxInFlight: 1 });
+
+	const first = client.action('lights', 'SLOW');
+	const second = client.action('lights', 'SLOW');
+
+	await sleep(50);
+	assert.equal(sentActions(server).length, 1);
+
+	await Promise.all([first, second]);
+	assert.equal(sentActions(server).length, 2);
+});
+
+test('aborting a coalesced call only rejects that call', async t => {
+	const { server, client } = await slider(t, { policies: { 'lights:SET_BRIGHTNESS': { debounce: 50 } } });
+
+	const controller = new AbortController();
+	const aborted = client.action('lights', 'SET_BRIGHTNESS', { brightness: 10 }, { signal: controller.signal });
+	const latest = client.action('lights', 'SET_BRIGHTNESS', { brightness: 20 });
+
+	controller.abort();
+
+	await assert.rejects(aborted, { type: SOCKET_ERROR.ACTION_ABORTED });
+	assert.deepEqual(await latest, { ok: true });
+	assert.deepEqual(brightnessSent(server), [20]);
+});
+
+test('aborting an action waiting for a free slot rejects it without sending it', async t => {
+	const { server, client } = await slider(t, { maxInFlight: 1 });
+
+	const controller = new AbortController();
+	const first = client.action('lights', 'SLOW');
+	const waiting = client.action('lights', 'SLOW', {}, { signal: controller.signal });
+
+	controller.abort();
+
+	await assert.rejects(waiting, { type: SOCKET_ERROR.ACTION_ABORTED });
+	await first;
+	assert.equal(sentActions(server).length, 1);
+});
+
+test('aborting the call whose data was sent does not reject the calls coalesced into it', async t => {
+	const { server, client } = await slider(t, { policies: { 'lights:SLOW': { debounce: 20 } } });
+
+	const controller = new AbortController();
+	const earlier = client.action('lights', 'SLOW', { call: 1 });
+	const latest = client.action('lights', 'SLOW', { call: 2 }, { signal: controller.signal });
+
+	await waitFor(() => sentActions(server).length === 1);
+	controller.abort();
+
+	await assert.rejects(latest, { type: SOCKET_ERROR.ACTION_ABORTED });
+	assert.deepEqual(await earlier, { ok: true });
+	assert.deepEqual(sentActions(server).map(({ data }) => data), [{ call: 2 }]);
+});
+
+test('a finished send hands its slot to the next call in line', async () => {
+	const limiter = new RateLimiter({ maxInFlight: 1 }, quietLogger);
+	const started = [];
+
+	let finishFirst;
+	const firstSend = new Promise(resolve => { finishFirst = resolve; });
+
+	const first = limiter.limit(() => firstSend);
+	const second = limiter.limit(async () => { started.push('second'); });
+
+	// Called right after the first send finished, before the second one got to run
+	let third;
+	firstSend.then(() => {
+		third = limiter.limit(async () => { started.push('third'); });
+	});
+
+	finishFirst();
+	await Promise.all([first, second]);
+	await third;
+
+	assert.deepEqual(started, ['second', 'third']);
+});
+
+test('batches count towards maxInFlight', async t => {
+	const { server, client } = await slider(t, { maxInFlight: 1 });
+
+	const action = client.action('lights', 'SLOW');
+	const batch = client.batch([{ service: 'lights', action: 'SET_BRIGHTNESS', data: { brightness: 50 } }]);
+
+	await sleep(50);
+	assert.equal(server.received.filter(({ event }) => event === 'batch').length, 0);
+
+	await Promise.all([action, batch]);
+	assert.equal(server.received.filter(({ event }) => event === 'batch').length, 1);
+});
@@ -0,0 +1,102 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { get } from 'svelte/store';
+import { createApp, effectScope } from 'vue';
+
+import { CONNECTION_STATUS } from '../src/index.js';
+import { connectionStatusStore, serviceStore } from '../src/svelte.js';
+import { createMissionControl, useConnectionStatus, useService } from '../src/vue.js';
+import { setup, waitFor } from './helpers.js';
+
+const lights = { state: { on: false }, actions: { TOGGLE: state => ({ on: !state.on }) } };
+
+const subscriptions = (server, event) => server.received.filter(entry => entry.event === event).length;
+
+test('svelte: service stores subscribe while they have subscribers', async t => {
+	const { server, createClient } = await setup(t);
+	server.service('lights', lights);
+
+	const client = createClient();
+	const store = serviceStore(client, 'lights');
+
+	assert.equal(serviceStore(client, 'lights'), store);
+	assert.equal(get(store), null);
+
+	const values = [];
+	const unsubscribe = store.subscribe(value => values.push(value));
+
+	await waitFor(() => values.at(-1) !== null);
+	await client.action('lights', 'TOGGLE');
+	await waitFor(() => values.at(-1).on === true);
+
+	unsubscribe();
+
+	await waitFor(() => subscriptions(server, 'unsubscribe') === 1);
+	assert.equal(subscriptions(server, 'subscribe'), 1);
+});
+
+test('svelte: the status store starts with the current status', async t => {
+	const { createClient } = await setup(t);
+
+	const client = createClient();
+	const store = connectionStatusStore(client);
+
+	assert.equal(get(store), CONNECTION_STATUS.CONNECTING);
+
+	// Nobody was subscribed while the client got ready
+	await client.whenReady();
+
+	const values = [];
+	const unsubscribe = store.subscribe(value => values.push(value));
+	unsubscribe();
+
+	assert.deepEqual(values, [CONNECTION_STATUS.READY]);
+});
+
+test('vue: useService() subscribes for the lifetime of its scope', async t => {
+	const { server, createClient } = await setup(t);
+	server.service('lights', lights);
+
+	const client = createClient();
+	const app = createApp({}).use(createMissionControl(client));
+	const scope = effectScope();
+
+	const { state, ready, action } = app.runWithContext(() => scope.run(() => useService('lights')));
+	const status = app.runWithContext(() => scope.run(() => useConnectionStatus()));
+
+	assert.equal(ready.value, false);
+
+	await waitFor(() => ready.value);
+	assert.deepEqual(state.value, { on: false });
+	assert.equal(status.value, CONNECTION_STATUS.READY);
+
+	await action('TOGGLE');
+	await waitFor(() => state.value.on === true);
+
+	scope.stop();
+
+	await waitFor(() => subscriptions(server, 'unsubscribe') === 1);
+
+	await client.close();
+	assert.equal(status.value, CONNECTION_STATUS.READY);
+});
+
+test('vue: composables outside of a scope warn that they are never released', async t => {
+	const { server, createClient } = await setup(t);
+	server.service('lights', lights);
+
+	const warnings = [];
+	const client = createClient({ logger: { debug() {}, info() {}, error() {}, warn: message => warnings.push(message) } });
+	const app = createApp({}).use(createMissionControl(client));
+
+	const { ready } = app.runWithContext(() => useService('lights'));
+	app.runWithContext(() => useConnectionStatus());
+
+	await waitFor(() => ready.value);
+
+	assert.deepEqual(warnings, [
+		"useService('lights') was called outside of a component or effect scope, its listener is never released.",
+		'useConnectionStatus() was called outside of a component or effect scope, its listener is never released.'
+	]);
+});
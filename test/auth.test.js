@@ -0,0 +1,101 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { CONNECTION_STATUS } from '../src/index.js';
+import { setup, sleep } from './helpers.js';
+
+const lights = { state: { on: false }, actions: { TOGGLE: state => ({ on: !state.on }) } };
+
+const received = (server, event) => server.received.filter(entry => entry.event === event).map(({ data }) => data);
+
+test('the token provider is asked for a fresh token on every connect', async t => {
+	const { server, createClient } = await setup(t);
+
+	let calls = 0;
+	const client = createClient({
+		token: async () => `token-${++calls}`,
+		connection: { reconnectionDelay: 10, reconnectionDelayMax: 10 }
+	});
+	await client.whenReady();
+
+	const disconnected = new Promise(resolve => client.once('disconnect', resolve));
+	server.disconnectAll();
+	await disconnected;
+	await client.whenReady();
+
+	assert.deepEqual(received(server, 'authenticate'), [{ token: 'token-1' }, { token: 'token-2' }]);
+});
+
+test('a rejected token from the provider is retried once with a fresh one', async t => {
+	const { server, createClient } = await setup(t, { token: token => token === 'fresh' });
+
+	const tokens = ['expired', 'fresh'];
+	const client = createClient({ token: async () => tokens.shift() });
+
+	await client.whenReady({ timeout: 1000 });
+
+	assert.deepEqual(received(server, 'authenticate'), [{ token: 'expired' }, { token: 'fresh' }]);
+});
+
+test('setToken() re-authenticates a ready client in place', async t => {
+	const { server, createClient } = await setup(t);
+	server.service('lights', lights);
+
+	const client = createClient();
+	client.service('lights', () => {});
+	await client.whenReady();
+
+	const statuses = [];
+	client.on('status', status => statuses.push(status));
+
+	await client.setToken('new');
+
+	assert.deepEqual(statuses, []);
+	assert.deepEqual(received(server, 'authenticate'), [{ token: 'token' }, { token: 'new' }]);
+	assert.equal(received(server, 'subscribe').length, 1);
+});
+
+test('setToken() after a rejected token connects with the new one', async t => {
+	const { server, createClient } = await setup(t, { token: 'secret' });
+	server.service('lights', lights);
+
+	const client = createClient();
+	client.service('lights', () => {});
+
+	await assert.rejects(client.whenReady({ timeout: 1000 }), { name: 'AuthError' });
+
+	await client.setToken('secret');
+
+	assert.equal(client.status, CONNECTION_STATUS.READY);
+	await client.whenReady();
+	assert.deepEqual(await client.action('lights', 'TOGGLE'), { ok: true });
+	assert.equal(received(server, 'subscribe').length, 1);
+});
+
+test('setToken() while authenticating waits for the handshake instead of starting a second one', async t => {
+	const { server, createClient } = await setup(t, {
+		token: async () => {
+			await sleep(50);
+
+			return true;
+		}
+	});
+	server.service('lights', lights);
+
+	const client = createClient();
+	client.service('lights', () => {});
+
+	let connects = 0;
+	client.on('connect', () => connects++);
+
+	await new Promise(resolve => client.on('status', status => {
+		if (status === CONNECTION_STATUS.AUTHENTICATING) resolve();
+	}));
+
+	await client.setToken('new');
+
+	assert.equal(client.status, CONNECTION_STATUS.READY);
+	assert.equal(connects, 1);
+	assert.equal(received(server, 'subscribe').length, 1);
+	assert.deepEqual(received(server, 'authenticate').at(-1), { token: 'new' });
+});
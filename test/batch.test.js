@@ -0,0 +1,125 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { BATCH_MODE, BatchError, ValidationError } from '../src/index.js';
+import { MOCK_FAILURE } from '../src/testing.js';
+import { setup, sleep } from './helpers.js';
+
+async function scene(t, options) {
+	const { server, createClient } = await setup(t);
+
+	server.service('lights', {
+		state: { brightness: 100 },
+		actions: { DIM: (state, { brightness }) => ({ brightness }) },
+		schemas: { DIM: { type: 'object', properties: { brightness: { type: 'integer', minimum: 0 } }, required: ['brightness'] } }
+	});
+	server.service('blinds', {
+		state: { open: true },
+		actions: {
+			CLOSE: () => ({ open: false }),
+			JAM: () => { throw Object.assign(new Error('The blinds are stuck.'), { code: 'STUCK' }); }
+		}
+	});
+
+	return { server, client: createClient(options) };
+}
+
+const batches = server => server.received.filter(({ event }) => event === 'batch').map(({ data }) => data);
+
+test('a batch is sent as a single emit and resolves with a result per action', async t => {
+	const { server, client } = await scene(t);
+
+	const results = await client.batch([
+		{ service: 'lights', action: 'DIM', data: { brightness: 20 }, extra: 'ignored' },
+		{ service: 'blinds', action: 'CLOSE' }
+	]);
+
+	assert.deepEqual(results, [
+		{ service: 'lights', action: 'DIM', status: 'fulfilled', response: { ok: true } },
+		{ service: 'blinds', action: 'CLOSE', status: 'fulfilled', response: { ok: true } }
+	]);
+	assert.deepEqual(batches(server), [{
+		mode: BATCH_MODE.PARALLEL,
+		stopOnError: true,
+		actions: [
+			{ service: 'lights', action: 'DIM', data: { brightness: 20 } },
+			{ service: 'blinds', action: 'CLOSE' }
+		]
+	}]);
+	assert.equal(server.received.filter(({ event }) => event === 'action').length, 0);
+});
+
+test('a failed action rejects with a BatchError describing every action', async t => {
+	const { client } = await scene(t);
+
+	const error = await client.batch([
+		{ service: 'lights', action: 'DIM', data: { brightness: 20 } },
+		{ service: 'blinds', action: 'JAM' },
+		{ service: 'blinds', action: 'CLOSE' }
+	], { mode: BATCH_MODE.SEQUENTIAL }).catch(e => e);
+
+	assert.ok(error instanceof BatchError);
+	assert.equal(error.service, 'blinds');
+	assert.equal(error.action, 'JAM');
+	assert.match(error.message, /^1 of 3 actions failed, first 'JAM' of service 'blinds': The blinds are stuck\.$/);
+	assert.deepEqual(error.results.map(({ status }) => status), ['fulfilled', 'rejected', 'skipped']);
+	assert.equal(error.results[1].error.name, 'ActionError');
+	assert.equal(error.results[1].error.code, 'STUCK');
+	assert.equal(error.cause, error.results[1].error);
+});
+
+test('an atomic batch reports the other actions as skipped if one fails', async t => {
+	const { server, client } = await scene(t);
+
+	const error = await client.batch([
+		{ service: 'lights', action: 'DIM', data: { brightness: 20 } },
+		{ service: 'blinds', action: 'JAM' }
+	], { mode: BATCH_MODE.ATOMIC }).catch(e => e);
+
+	assert.ok(error instanceof BatchError);
+	assert.deepEqual(error.results.map(({ status }) => status), ['skipped', 'rejected']);
+	assert.deepEqual(server.getState('lights'), { brightness: 100 });
+});
+
+test('with validation, nothing is sent if one action is invalid', async t => {
+	const { server, client } = await scene(t, { validate: true });
+
+	const error = await client.batch([
+		{ service: 'lights', action: 'DIM', data: { brightness: -1 } },
+		{ service: 'blinds', action: 'CLOSE' }
+	]).catch(e => e);
+
+	assert.ok(error instanceof BatchError);
+	assert.deepEqual(error.results.map(({ status }) => status), ['rejected', 'skipped']);
+	assert.ok(error.results[0].error instanceof ValidationError);
+	assert.deepEqual(batches(server), []);
+});
+
+test('a batch waits for the connection instead of being queued', async t => {
+	const { server, client } = await scene(t, { autoConnect: false });
+
+	const batch = client.batch([{ service: 'blinds', action: 'CLOSE' }]);
+
+	await sleep(50);
+	assert.deepEqual(batches(server), []);
+	assert.equal(client.queue.size, 0);
+
+	client.connect();
+
+	assert.deepEqual((await batch).map(({ status }) => status), ['fulfilled']);
+});
+
+test('a batch that is not answered rejects with a TimeoutError', async t => {
+	const { server, client } = await scene(t);
+	await client.whenReady();
+
+	server.fail('batch', MOCK_FAILURE.DROP);
+
+	await assert.rejects(client.batch([{ service: 'blinds', action: 'CLOSE' }], { timeout: 50 }), { name: 'TimeoutError' });
+});
+
+test('unknown batch modes are refused', async t => {
+	const { client } = await scene(t);
+
+	await assert.rejects(client.batch([], { mode: 'eventually' }), /Unknown batch mode 'eventually'/);
+});
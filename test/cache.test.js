@@ -0,0 +1,73 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { MemoryStore } from '../src/index.js';
+import { PersistentStateCache } from '../src/PersistentStateCache.js';
+import { quietLogger, setup, sleep, waitFor } from './helpers.js';
+
+const lights = { state: { on: false }, actions: { TOGGLE: state => ({ on: !state.on }) } };
+
+test('synced state is persisted and shown as stale by the next client', async t => {
+	const { server, createClient } = await setup(t);
+	server.service('lights', lights);
+
+	const store = new MemoryStore();
+
+	const first = createClient({ cache: { store } });
+	first.service('lights', () => {});
+	await first.action('lights', 'TOGGLE');
+	await waitFor(() => store._items['stateCache:lights']?.state.on === true);
+	await first.destroy();
+
+	const second = createClient({ cache: { store }, autoConnect: false });
+	await second.hydrated;
+
+	const received = [];
+	second.service('lights', (state, meta) => received.push({ state, stale: meta.stale }));
+
+	assert.deepEqual(received, [{ state: { on: true }, stale: true }]);
+
+	second.connect();
+	await waitFor(() => received.length === 2);
+
+	assert.deepEqual(received[1], { state: { on: true }, stale: false });
+});
+
+test('expired state is ignored and removed from the store', async () => {
+	const store = new MemoryStore();
+	const cache = new PersistentStateCache({ store, maxAge: 1000 }, quietLogger);
+
+	await cache.save('lights', { on: true }, Date.now() - 2000);
+	await cache.save('blinds', { open: true }, Date.now());
+
+	assert.deepEqual(Object.keys(await cache.load()), ['blinds']);
+	assert.deepEqual(store._items.stateCache, ['blinds']);
+	assert.equal(store._items['stateCache:lights'], undefined);
+});
+
+test('removing expired state keeps state saved in the meantime', async () => {
+	const memory = new MemoryStore();
+	// Reading is slow, so a sync can arrive while the expired state is being loaded
+	const store = {
+		getItem: async key => {
+			const value = await memory.getItem(key);
+			await sleep(20);
+
+			return value;
+		},
+		setItem: (key, value) => memory.setItem(key, value),
+		removeItem: key => memory.removeItem(key)
+	};
+
+	await new PersistentStateCache({ store: memory }, quietLogger).save('lights', { on: false }, Date.now() - 2000);
+
+	const cache = new PersistentStateCache({ store, maxAge: 1000 }, quietLogger);
+	const loading = cache.load();
+
+	await sleep(30);
+	await cache.save('lights', { on: true }, Date.now());
+
+	assert.deepEqual(await loading, {});
+	assert.deepEqual(memory._items.stateCache, ['lights']);
+	assert.deepEqual(memory._items['stateCache:lights'].state, { on: true });
+});
@@ -0,0 +1,124 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { PassThrough } from 'node:stream';
+import { test } from 'node:test';
+
+import { run } from '../src/cli/index.js';
+import { EXIT_CODE } from '../src/cli/exitCodes.js';
+import { loadConfig } from '../src/cli/config.js';
+import { setup } from './helpers.js';
+
+const lights = { state: { on: false }, actions: { TOGGLE: state => ({ on: !state.on }) } };
+
+function collect(stream) {
+	let output = '';
+	stream.on('data', chunk => {
+		output += chunk;
+	});
+
+	return () => output;
+}
+
+/**
+ * Run the CLI with the given input and collect what it writes.
+ */
+async function cli(argv, { env = {}, input = '' } = {}) {
+	const stdin = new PassThrough();
+	const stdout = new PassThrough();
+	const stderr = new PassThrough();
+	const out = collect(stdout);
+	const err = collect(stderr);
+
+	stdin.end(input);
+
+	const code = await run(argv, { env, stdin, stdout, stderr });
+
+	return { code, stdout: out(), stderr: err() };
+}
+
+function tempDir(t) {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mission-control-'));
+	t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+	return dir;
+}
+
+test('cli: --help prints the usage without connecting', async () => {
+	const { code, stdout } = await cli(['--help']);
+
+	assert.equal(code, EXIT_CODE.OK);
+	assert.match(stdout, /^Usage: mission-control <command> \[options\]/);
+	assert.match(stdout, /action <service> <action> \[json\]/);
+});
+
+test('cli: invalid arguments exit with the usage code', async () => {
+	const connection = ['--url', 'http://localhost:1', '--token', 'token'];
+
+	assert.equal((await cli([])).code, EXIT_CODE.USAGE);
+	assert.match((await cli(['explode', ...connection])).stderr, /Unknown command 'explode'/);
+	assert.match((await cli(['action', 'lights', ...connection])).stderr, /Missing service or action name/);
+	assert.match((await cli(['action', 'lights', 'DIM', '{level', ...connection])).stderr, /Invalid action data/);
+});
+
+test('cli: flags take precedence over the environment and the config file', t => {
+	const file = path.join(tempDir(t), 'config.json');
+	fs.writeFileSync(file, JSON.stringify({ url: 'http://file', token: 'file-token', timeout: 0 }));
+
+	assert.deepEqual(loadConfig({ config: file }, {}), { url: 'http://file', token: 'file-token', timeout: 0 });
+	assert.deepEqual(loadConfig({ url: 'http://flag' }, { MISSION_CONTROL_CONFIG: file, MISSION_CONTROL_TOKEN: 'env-token' }), {
+		url: 'http://flag',
+		token: 'env-token',
+		timeout: 0
+	});
+	assert.throws(() => loadConfig({ config: path.join(path.dirname(file), 'missing.json') }, {}), { name: 'UsageError' });
+	assert.throws(() => loadConfig({ config: file, timeout: '-1' }, {}), { name: 'UsageError', message: /timeout/ });
+
+	fs.writeFileSync(file, JSON.stringify({ url: 'http://file' }));
+	assert.throws(() => loadConfig({ config: file }, {}), { name: 'UsageError', message: /No token given/ });
+});
+
+test('cli: actions and states are printed as JSON', async t => {
+	const { server } = await setup(t);
+	server.service('lights', lights);
+
+	const connection = ['--url', server.url, '--token', 'token'];
+
+	const action = await cli(['action', 'lights', 'TOGGLE', '{}', ...connection]);
+	assert.equal(action.code, EXIT_CODE.OK, action.stderr);
+	assert.equal(action.stdout, '{"ok":true}\n');
+
+	const state = await cli(['state', 'lights', ...connection]);
+	assert.equal(state.code, EXIT_CODE.OK, state.stderr);
+	assert.deepEqual(JSON.parse(state.stdout), { on: true });
+});
+
+test('cli: errors exit with the code of their type', async t => {
+	const { server } = await setup(t, { token: 'secret' });
+	server.service('lights', lights);
+
+	const rejected = await cli(['action', 'lights', 'TOGGLE', '--url', server.url, '--token', 'wrong']);
+	assert.equal(rejected.code, EXIT_CODE.AUTH_FAILED);
+	assert.match(rejected.stderr, /^mission-control: Authentication failed: Invalid token\./);
+
+	const unknown = await cli(['action', 'lights', 'EXPLODE', '--url', server.url, '--token', 'secret']);
+	assert.equal(unknown.code, EXIT_CODE.ACTION_FAILED);
+	assert.match(unknown.stderr, /Unknown action/);
+});
+
+test('repl: piped commands are evaluated before the client is closed', async t => {
+	const { server } = await setup(t);
+	server.service('lights', lights);
+
+	const historyFile = path.join(tempDir(t), 'history');
+	const { code, stdout, stderr } = await cli(['repl', '--url', server.url, '--token', 'token'], {
+		env: { MISSION_CONTROL_REPL_HISTORY: historyFile },
+		input: "action('lights', 'TOGGLE')\nclient.status\n"
+	});
+
+	assert.equal(code, EXIT_CODE.OK, stderr);
+	assert.match(stdout, /\{ ok: true \}/);
+	assert.match(stdout, /'ready'/);
+	assert.deepEqual(server.getState('lights'), { on: true });
+});
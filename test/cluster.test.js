@@ -0,0 +1,86 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { CONNECTION_STATUS, MissionControlCluster } from '../src/index.js';
+import { setup, waitFor } from './helpers.js';
+
+const door = name => ({ state: { open: false, backend: name }, actions: { OPEN: state => ({ ...state, open: true }) } });
+
+async function createCluster(t) {
+	const house = await setup(t);
+	const garage = await setup(t);
+	const backup = await setup(t);
+
+	house.server.service('lights', { state: { on: false } });
+	garage.server.service('door', door('garage'));
+	backup.server.service('door', door('backup'));
+
+	const cluster = new MissionControlCluster({
+		house: house.createClient(),
+		garage: [garage.createClient(), backup.createClient()]
+	}, { defaultServer: 'house' });
+
+	return { cluster, house, garage, backup };
+}
+
+test('services and actions are routed to their server', async t => {
+	const { cluster, house, garage } = await createCluster(t);
+
+	await cluster.whenReady({ timeout: 1000 });
+
+	assert.deepEqual(cluster.servers, ['house', 'garage']);
+	assert.deepEqual(cluster.statuses, { house: CONNECTION_STATUS.READY, garage: CONNECTION_STATUS.READY });
+
+	const lights = cluster.service('lights', () => {});
+	const door = cluster.service('garage/door', () => {});
+
+	await waitFor(() => lights.ready && door.ready);
+
+	assert.deepEqual(lights.state, { on: false });
+	assert.deepEqual(door.state, { open: false, backend: 'garage' });
+
+	await door.action('OPEN');
+
+	assert.deepEqual(garage.server.getState('door'), { open: true, backend: 'garage' });
+	assert.equal(house.server.received.filter(({ event }) => event === 'action').length, 0);
+	assert.throws(() => cluster.service('shed/lights', () => {}), /Unknown server 'shed'/);
+});
+
+test('a server fails over to the next backend and back to the preferred one', async t => {
+	const { cluster, garage } = await createCluster(t);
+	await cluster.whenReady({ timeout: 1000 });
+
+	const states = [];
+	const failovers = [];
+	cluster.service('garage/door', state => states.push(state.backend));
+	cluster.on('failover', (server, client, previous) => failovers.push({ server, client, previous }));
+
+	const [primary, secondary] = cluster._servers.garage.members;
+
+	await waitFor(() => states.length === 1);
+
+	// Disconnected on purpose, the primary doesn't come back by itself
+	garage.server.disconnectAll({ reconnect: false });
+
+	await waitFor(() => failovers.length === 1);
+	assert.deepEqual(failovers[0], { server: 'garage', client: secondary, previous: primary });
+	assert.equal(cluster.client('garage'), secondary);
+	assert.equal(cluster.statuses.garage, CONNECTION_STATUS.READY);
+
+	await waitFor(() => states.at(-1) === 'backup');
+
+	primary.connect();
+
+	await waitFor(() => failovers.length === 2);
+	assert.equal(cluster.client('garage'), primary);
+	await waitFor(() => states.at(-1) === 'garage');
+});
+
+test('whenReady() rejects once every backend of a server is closed', async t => {
+	const { cluster } = await createCluster(t);
+	await cluster.whenReady({ timeout: 1000 });
+
+	await cluster.client('house').close();
+
+	await assert.rejects(cluster.whenReady({ timeout: 1000 }), { message: "The connection to the server 'house' is closed." });
+});
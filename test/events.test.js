@@ -0,0 +1,75 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { CONNECTION_STATUS } from '../src/index.js';
+import { setup, waitFor } from './helpers.js';
+
+test('pattern listeners receive the name of the matching event first', async t => {
+	const { server, createClient } = await setup(t);
+	server.service('lights', { state: { on: false } });
+	server.service('blinds', { state: { open: true } });
+
+	const client = createClient();
+	const syncs = [];
+	client.on('sync:*', (event, state, meta) => syncs.push({ event, state, stale: meta.stale }));
+
+	client.service('lights', () => {});
+	client.service('blinds', () => {});
+
+	await waitFor(() => syncs.length === 2);
+
+	assert.deepEqual(syncs.sort((a, b) => a.event.localeCompare(b.event)), [
+		{ event: 'sync:blinds', state: { open: true }, stale: false },
+		{ event: 'sync:lights', state: { on: false }, stale: false }
+	]);
+});
+
+test('server events can be listened to with and without patterns', async t => {
+	const { server, createClient } = await setup(t);
+
+	const client = createClient();
+	const exact = [];
+	const pattern = [];
+	const internal = [];
+
+	client.onServerEvent('notification:created', notification => exact.push(notification));
+	client.onServerEvent('notification:*', (event, notification) => pattern.push([event, notification]));
+	client.on('internal:notification:*', event => internal.push(event));
+
+	await client.whenReady();
+
+	server.emit('notification:created', { id: 1 });
+	server.emit('notification:deleted', { id: 1 });
+	server.emit('ping');
+
+	await waitFor(() => internal.length === 2);
+
+	assert.deepEqual(exact, [{ id: 1 }]);
+	assert.deepEqual(pattern, [['notification:created', { id: 1 }], ['notification:deleted', { id: 1 }]]);
+	assert.deepEqual(internal, ['internal:notification:created', 'internal:notification:deleted']);
+});
+
+test('onAny() receives every event and once() patterns only the first match', async t => {
+	const { createClient } = await setup(t);
+
+	const client = createClient({ autoConnect: false });
+	const all = [];
+	const first = [];
+
+	const offAny = client.onAny((event, ...args) => all.push([event, ...args]));
+	client.once('status*', (event, status) => first.push([event, status]));
+
+	client.connect();
+	await client.whenReady();
+
+	offAny();
+	await client.close();
+
+	assert.deepEqual(first, [['status', CONNECTION_STATUS.CONNECTING]]);
+	assert.deepEqual(all.filter(([event]) => event === 'status').map(([, status]) => status), [
+		CONNECTION_STATUS.CONNECTING,
+		CONNECTION_STATUS.AUTHENTICATING,
+		CONNECTION_STATUS.READY
+	]);
+	assert.ok(all.some(([event]) => event === 'connect'));
+});
@@ -0,0 +1,56 @@
+import { MissionControlClient } from '../src/index.js';
+import { createMockServer } from '../src/testing.js';
+
+/*
+ * Shared setup for the behaviour tests: a mock server and clients that don't log.
+ */
+
+export const quietLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+export const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Start a mock server and return a function creating clients for it. Everything is closed again after the test.
+ */
+export async function setup(t, serverOptions) {
+	const server = await createMockServer(serverOptions);
+	const clients = [];
+
+	t.after(async () => {
+		await Promise.all(clients.map(client => client.destroy()));
+		await server.close();
+	});
+
+	const createClient = ({ token = 'token', connection, ...options } = {}) => {
+		const client = new MissionControlClient(server.url, token, {
+			logger: quietLogger,
+			timeout: 1000,
+			// Closing the server waits for a pending long-polling request, so we skip it
+			connection: { socketOptions: { transports: ['websocket'] }, ...connection },
+			...options
+		});
+
+		// Errors are asserted where they matter, unhandled ones would only make the output noisy
+		client.on('error', () => {});
+		clients.push(client);
+
+		return client;
+	};
+
+	return { server, createClient };
+}
+
+/**
+ * Wait until a condition is true.
+ */
+export async function waitFor(condition, { timeout = 1000, interval = 10 } = {}) {
+	const start = Date.now();
+
+	while (!condition()) {
+		if (Date.now() - start > timeout) throw new Error('Condition not met in time.');
+
+		await sleep(interval);
+	}
+}
+
+export const sentActions = server => server.received.filter(({ event }) => event === 'action').map(({ data }) => data);
@@ -0,0 +1,58 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { CONNECTION_STATUS, SOCKET_ERROR } from '../src/index.js';
+import { setup, waitFor } from './helpers.js';
+
+const lights = { state: { on: false }, actions: { TOGGLE: state => ({ on: !state.on }) } };
+
+test('close() unsubscribes every service before disconnecting and connect() picks up again', async t => {
+	const { server, createClient } = await setup(t);
+	server.service('lights', lights);
+	server.service('blinds', { state: { open: false } });
+
+	const client = createClient();
+	const handle = client.service('lights', () => {});
+	client.service('blinds', () => {});
+	await waitFor(() => handle.state !== null);
+
+	await client.close();
+
+	const events = server.received.map(({ event, data }) => `${event}:${data.service || ''}`);
+	assert.deepEqual(events.slice(-2).sort(), ['unsubscribe:blinds', 'unsubscribe:lights']);
+	assert.equal(client.status, CONNECTION_STATUS.CLOSED);
+
+	// The state cache is kept while closed
+	assert.deepEqual(handle.state, { on: false });
+
+	server.setState('lights', { on: true });
+	client.connect();
+
+	await waitFor(() => handle.state.on === true);
+	assert.equal(server.received.filter(({ event }) => event === 'subscribe').length, 4);
+});
+
+test('destroy() drops listeners, state and queued actions and the client cannot connect again', async t => {
+	const { server, createClient } = await setup(t);
+	server.service('lights', lights);
+
+	const client = createClient({ autoConnect: false });
+	const handle = client.service('lights', () => {});
+
+	let statusEvents = 0;
+	client.on('status', () => statusEvents++);
+
+	const queued = client.action('lights', 'TOGGLE');
+
+	await client.destroy();
+
+	await assert.rejects(queued, { type: SOCKET_ERROR.ACTION_DROPPED, message: 'The client was destroyed.' });
+	assert.equal(statusEvents, 1);
+	assert.equal(handle.state, null);
+	assert.deepEqual(client.dehydrate(), {});
+	assert.throws(() => client.connect(), /destroyed/);
+
+	// Destroying twice is fine
+	await client.destroy();
+	assert.deepEqual(server.received, []);
+});
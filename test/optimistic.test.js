@@ -0,0 +1,103 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { MOCK_FAILURE } from '../src/testing.js';
+import { setup, sleep, waitFor } from './helpers.js';
+
+const toggle = state => ({ ...state, on: !state.on });
+
+async function subscribed(t) {
+	const { server, createClient } = await setup(t);
+	server.service('lights', { state: { on: false }, actions: { TOGGLE: toggle } });
+
+	const client = createClient();
+	const states = [];
+	const lights = client.service('lights', state => states.push(state));
+
+	await waitFor(() => lights.state !== null);
+
+	return { server, client, lights, states };
+}
+
+test('the prediction is shown right away and kept once the server confirms it', async t => {
+	const { server, lights, states } = await subscribed(t);
+
+	const action = lights.action('TOGGLE', {}, { optimistic: state => ({ ...state, on: true }) });
+
+	assert.deepEqual(lights.state, { on: true });
+
+	await action;
+
+	assert.deepEqual(server.getState('lights'), { on: true });
+	assert.ok(states.slice(1).every(({ on }) => on));
+});
+
+test('a failed action rolls the prediction back and emits optimistic:rollback', async t => {
+	const { server, client, lights } = await subscribed(t);
+
+	const rollbacks = [];
+	client.on('optimistic:rollback', (service, action, error) => rollbacks.push([service, action, error.name]));
+
+	server.fail('action', MOCK_FAILURE.REJECT);
+
+	const action = lights.action('TOGGLE', {}, { optimistic: toggle });
+
+	assert.deepEqual(lights.state, { on: true });
+	await assert.rejects(action, { name: 'ActionError' });
+
+	assert.deepEqual(lights.state, { on: false });
+	assert.deepEqual(rollbacks, [['lights', 'TOGGLE', 'ActionError']]);
+});
+
+test('an optimistic update that throws rejects the action and later syncs still apply', async t => {
+	const { server, lights } = await subscribed(t);
+
+	await assert.rejects(
+		lights.action('TOGGLE', {}, { optimistic: () => { throw new Error('Broken prediction'); } }),
+		{ name: 'MissionControlError', message: /Broken prediction/ }
+	);
+
+	assert.equal(server.received.filter(({ event }) => event === 'action').length, 0);
+
+	server.setState('lights', { on: true });
+
+	await waitFor(() => lights.state.on === true);
+});
+
+test('a prediction that throws on a newer state is dropped without breaking later syncs', async t => {
+	const { server, createClient } = await setup(t);
+	server.service('lights', {
+		state: { on: false, locked: false },
+		actions: {
+			// Only answers, the state is changed by the test
+			TOGGLE: async () => {
+				await sleep(100);
+
+				return server.getState('lights');
+			}
+		}
+	});
+
+	const client = createClient();
+	const lights = client.service('lights', () => {});
+	await waitFor(() => lights.state !== null);
+
+	const other = lights.action('TOGGLE', {}, { optimistic: state => ({ ...state, pending: true }) });
+	const action = lights.action('TOGGLE', {}, {
+		optimistic: state => {
+			if (state.locked) throw new Error('The lights are locked.');
+
+			return { ...state, on: !state.on };
+		}
+	});
+
+	server.setState('lights', { on: false, locked: true });
+
+	await assert.rejects(action, { name: 'MissionControlError', service: 'lights', action: 'TOGGLE', message: /The lights are locked/ });
+	assert.deepEqual(lights.state, { on: false, locked: true, pending: true });
+
+	await other;
+
+	server.setState('lights', { on: true, locked: false });
+	await waitFor(() => lights.state.on === true && !lights.state.locked);
+});
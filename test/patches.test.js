@@ -0,0 +1,40 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { setup, waitFor } from './helpers.js';
+
+async function subscribed(t) {
+	const { server, createClient } = await setup(t);
+	server.service('media', { state: { items: ['a'] } });
+
+	const client = createClient();
+	const media = client.service('media', () => {});
+
+	await waitFor(() => media.state !== null);
+
+	return { server, media };
+}
+
+test('patches with the next version are applied to the cached state', async t => {
+	const { server, media } = await subscribed(t);
+
+	server.emit('sync', { service: 'media', patch: [{ op: 'add', path: '/items/-', value: 'b' }], version: 1 });
+
+	await waitFor(() => media.state.items.length === 2);
+
+	assert.deepEqual(media.state, { items: ['a', 'b'] });
+	assert.equal(server.received.filter(({ event }) => event === 'resync').length, 0);
+});
+
+test('a version gap requests the full state with a resync instead of applying the patch', async t => {
+	const { server, media } = await subscribed(t);
+
+	// The patch for version 1 never arrived
+	server.emit('sync', { service: 'media', patch: [{ op: 'add', path: '/items/-', value: 'c' }], version: 2 });
+
+	await waitFor(() => server.received.some(({ event }) => event === 'resync'));
+
+	assert.deepEqual(server.received.filter(({ event }) => event === 'resync').map(({ data }) => data), [{ service: 'media', version: 0 }]);
+	assert.deepEqual(media.state, server.getState('media'));
+	assert.deepEqual(media.state, { items: ['a'] });
+});
@@ -0,0 +1,96 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { createElement } from 'react';
+import TestRenderer from 'react-test-renderer';
+
+import { CONNECTION_STATUS } from '../src/index.js';
+import { MissionControlProvider, useConnectionStatus, useService } from '../src/react.js';
+import { setup, waitFor } from './helpers.js';
+
+// Tells React that updates are wrapped in act()
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+const { act } = TestRenderer;
+
+const lights = { state: { on: false }, actions: { TOGGLE: state => ({ on: !state.on }) } };
+
+/**
+ * Render a component calling the hook and return the last thing the hook returned.
+ */
+async function renderHook(client, hook) {
+	const result = { current: undefined };
+
+	function Component() {
+		result.current = hook();
+
+		return null;
+	}
+
+	let renderer;
+
+	await act(() => {
+		renderer = TestRenderer.create(createElement(MissionControlProvider, { client }, createElement(Component)));
+	});
+
+	return { result, unmount: () => act(() => renderer.unmount()) };
+}
+
+// Syncs arrive outside of React, so we let it render them before checking
+const waitForRender = condition => act(() => waitFor(condition));
+
+test('react: useService() renders the state and unsubscribes on unmount', async t => {
+	const { server, createClient } = await setup(t);
+	server.service('lights', lights);
+
+	const client = createClient();
+	const { result, unmount } = await renderHook(client, () => useService('lights'));
+
+	assert.deepEqual(result.current.state, null);
+	assert.equal(result.current.ready, false);
+
+	await waitForRender(() => result.current.ready);
+	assert.deepEqual(result.current.state, { on: false });
+
+	await act(() => result.current.action('TOGGLE'));
+	await waitForRender(() => result.current.state.on === true);
+
+	await unmount();
+	await waitFor(() => server.received.some(({ event }) => event === 'unsubscribe'));
+});
+
+test('react: useConnectionStatus() re-renders on status changes', async t => {
+	const { createClient } = await setup(t);
+
+	const client = createClient({ autoConnect: false });
+	const { result, unmount } = await renderHook(client, () => useConnectionStatus());
+
+	assert.equal(result.current, CONNECTION_STATUS.IDLE);
+
+	await act(() => {
+		client.connect();
+	});
+	await waitForRender(() => result.current === CONNECTION_STATUS.READY);
+
+	await unmount();
+});
+
+test('react: hooks outside of a provider throw', () => {
+	function Component() {
+		useService('lights');
+
+		return null;
+	}
+
+	// React logs the error it rethrows
+	const error = console.error;
+	console.error = () => {};
+
+	try {
+		assert.throws(() => act(() => {
+			TestRenderer.create(createElement(Component));
+		}), /within a MissionControlProvider/);
+	} finally {
+		console.error = error;
+	}
+});
@@ -0,0 +1,82 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { MissionControlClient, ReplayTransport, SessionRecorder, parseSession } from '../src/index.js';
+import { quietLogger, setup, waitFor } from './helpers.js';
+
+const lights = { state: { on: false }, actions: { TOGGLE: state => ({ on: !state.on }) } };
+
+/**
+ * Record a client connecting, subscribing to the lights and toggling them once.
+ */
+async function recordSession(t) {
+	const { server, createClient } = await setup(t);
+	server.service('lights', lights);
+
+	let log = '';
+	const client = createClient({ autoConnect: false });
+	const recorder = new SessionRecorder(client, { write: line => { log += line; } });
+
+	const states = [];
+	client.service('lights', state => states.push(state));
+	client.connect();
+
+	await waitFor(() => states.length === 1);
+	await client.action('lights', 'TOGGLE');
+	await waitFor(() => states.length === 2);
+
+	recorder.stop();
+	await client.close();
+
+	return { log, states };
+}
+
+test('the recording contains the session, transport, server, emit and client entries', async t => {
+	const { log } = await recordSession(t);
+	const entries = parseSession(log);
+
+	assert.equal(entries[0].type, 'session');
+	assert.equal(entries[0].version, 1);
+	assert.ok(entries.every(entry => typeof entry.t === 'number'));
+
+	const types = new Set(entries.map(({ type }) => type));
+	assert.deepEqual([...types].sort(), ['ack', 'emit', 'event', 'receive', 'session', 'transport']);
+
+	const action = entries.find(entry => entry.type === 'emit' && entry.event === 'action');
+	assert.deepEqual(entries.find(entry => entry.type === 'ack' && entry.id === action.id).response, { ok: true });
+});
+
+test('a replayed client sees the same states and responses without a server', async t => {
+	const { log, states } = await recordSession(t);
+
+	const transport = new ReplayTransport(log, { speed: Infinity });
+	const client = new MissionControlClient('http://replay', 'token', { transport, logger: quietLogger, autoConnect: false });
+	t.after(() => client.destroy());
+
+	const replayed = [];
+	client.service('lights', state => replayed.push(state));
+	client.connect();
+
+	assert.deepEqual(await client.action('lights', 'TOGGLE'), { ok: true });
+	await transport.finished;
+
+	assert.deepEqual(replayed, states);
+	assert.deepEqual(transport.unmatched, []);
+});
+
+test('emits that did not happen in the recording are unmatched', async t => {
+	const { log } = await recordSession(t);
+
+	const transport = new ReplayTransport(log, { speed: Infinity });
+	const client = new MissionControlClient('http://replay', 'token', { transport, logger: quietLogger, timeout: 50 });
+	t.after(() => client.destroy());
+
+	await client.whenReady();
+
+	await assert.rejects(client.action('blinds', 'OPEN'), { name: 'TimeoutError' });
+	assert.deepEqual(transport.unmatched, [{ event: 'action', data: { service: 'blinds', action: 'OPEN', data: undefined } }]);
+});
+
+test('replay speeds have to be positive', () => {
+	assert.throws(() => new ReplayTransport('', { speed: 0 }), /greater than 0/);
+});
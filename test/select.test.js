@@ -0,0 +1,75 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { setup, waitFor } from './helpers.js';
+
+const house = { brightness: 10, rooms: { kitchen: { on: false } }, temperature: 20 };
+
+async function connectedService(t) {
+	const { server, createClient } = await setup(t);
+	server.service('house', { state: house });
+
+	const client = createClient();
+	const states = [];
+	client.service('house', state => states.push(state));
+	await waitFor(() => states.length === 1);
+
+	// Every state the server sends arrives at the raw listener first, so we know when selectors have seen it
+	const sync = async state => {
+		const count = states.length;
+		server.setState('house', state);
+		await waitFor(() => states.length === count + 1);
+	};
+
+	return { server, client, sync };
+}
+
+test('selectors are only called when the selected part changed', async t => {
+	const { client, server, sync } = await connectedService(t);
+
+	const values = [];
+	const brightness = client.select('house', state => state.brightness, value => values.push(value));
+
+	assert.deepEqual(values, [10]);
+	assert.equal(brightness.value, 10);
+
+	await sync({ ...house, temperature: 21 });
+	await sync({ ...house, brightness: 20 });
+
+	assert.deepEqual(values, [10, 20]);
+	assert.equal(brightness.value, 20);
+
+	brightness.unsubscribe();
+	await sync({ ...house, brightness: 30 });
+
+	assert.deepEqual(values, [10, 20]);
+	assert.equal(server.received.filter(({ event }) => event === 'subscribe').length, 1);
+});
+
+test('selected objects are compared shallowly by default, deeply or strictly if asked', async t => {
+	const { client, sync } = await connectedService(t);
+
+	const calls = { shallow: 0, deep: 0, strict: 0, custom: 0 };
+	const kitchen = state => state.rooms.kitchen;
+	const rooms = state => ({ kitchen: state.rooms.kitchen.on });
+
+	client.select('house', rooms, () => calls.shallow++);
+	client.select('house', kitchen, () => calls.deep++, { equals: 'deep' });
+	client.select('house', kitchen, () => calls.strict++, { equals: 'strict' });
+	client.select('house', kitchen, () => calls.custom++, { equals: (a, b) => a.on === b.on });
+
+	// A new but equal kitchen object
+	await sync({ ...house, rooms: { kitchen: { on: false } } });
+
+	assert.deepEqual(calls, { shallow: 1, deep: 1, strict: 2, custom: 1 });
+
+	await sync({ ...house, rooms: { kitchen: { on: true } } });
+
+	assert.deepEqual(calls, { shallow: 2, deep: 2, strict: 3, custom: 2 });
+});
+
+test('unknown equality checks are rejected', async t => {
+	const { client } = await connectedService(t);
+
+	assert.throws(() => client.select('house', state => state, () => {}, { equals: 'fuzzy' }), /Unknown equality check 'fuzzy'/);
+});
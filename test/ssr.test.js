@@ -0,0 +1,87 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { CONNECTION_STATUS, MissionControlClient } from '../src/index.js';
+import { quietLogger, setup, sleep, waitFor } from './helpers.js';
+
+const lights = { state: { on: false }, actions: { TOGGLE: state => ({ on: !state.on }) } };
+
+test('getState() connects for the state and closes the connection again', async t => {
+	const { server, createClient } = await setup(t);
+	server.service('lights', lights);
+
+	const client = createClient({ autoConnect: false, initialState: { lights: { state: { on: true }, updatedAt: 0 } } });
+	const errors = [];
+	client.on('error', (type, error) => errors.push(error));
+
+	// The hydrated state is stale, so we wait for the live one
+	assert.deepEqual(await client.getState('lights'), { on: false });
+
+	assert.equal(client.status, CONNECTION_STATUS.CLOSED);
+	assert.deepEqual(server.received.map(({ event }) => event).slice(0, 2), ['authenticate', 'subscribe']);
+
+	// Unsubscribing can't be confirmed anymore, which doesn't matter as we disconnected
+	await sleep(50);
+	assert.deepEqual(errors, []);
+});
+
+test('getState() keeps the connection and subscriptions it did not start', async t => {
+	const { server, createClient } = await setup(t);
+	server.service('lights', lights);
+
+	const client = createClient();
+	const handle = client.service('lights', () => {});
+	await waitFor(() => handle.state !== null);
+
+	server.setState('lights', { on: true });
+	await waitFor(() => handle.state.on === true);
+
+	assert.deepEqual(await client.getState('lights'), { on: true });
+	assert.equal(client.status, CONNECTION_STATUS.READY);
+	assert.deepEqual(server.received.map(({ event }) => event), ['authenticate', 'subscribe']);
+});
+
+test('getState() rejects for unknown services and when the state takes too long', async t => {
+	const { server, createClient } = await setup(t);
+	server.service('lights', lights);
+
+	const client = createClient({ autoConnect: false });
+
+	await assert.rejects(client.getState('blinds'), { name: 'ActionError', code: 'UNKNOWN_SERVICE' });
+	await assert.rejects(client.getState('lights', { timeout: 1 }), { name: 'TimeoutError' });
+});
+
+test('fetchState() gets the state with a throwaway client', async t => {
+	const { server } = await setup(t);
+	server.service('lights', lights);
+
+	const state = await MissionControlClient.fetchState(server.url, 'token', 'lights', {
+		timeout: 1000,
+		logger: quietLogger,
+		connection: { socketOptions: { transports: ['websocket'] } }
+	});
+
+	assert.deepEqual(state, { on: false });
+	await waitFor(() => server.io.of('/').sockets.size === 0);
+});
+
+test('dehydrated state is picked up by a new client without predictions', async t => {
+	const { server, createClient } = await setup(t);
+	server.service('lights', { ...lights, actions: { TOGGLE: () => new Promise(() => {}) } });
+
+	const client = createClient();
+	const handle = client.service('lights', () => {});
+	await waitFor(() => handle.state !== null);
+
+	client.action('lights', 'TOGGLE', {}, { optimistic: state => ({ on: !state.on }) }).catch(() => {});
+	assert.deepEqual(handle.state, { on: true });
+
+	const initialState = JSON.parse(JSON.stringify(client.dehydrate()));
+	assert.deepEqual(initialState.lights.state, { on: false });
+
+	const browser = createClient({ autoConnect: false, initialState });
+	const received = [];
+	browser.service('lights', (state, meta) => received.push({ state, stale: meta.stale }));
+
+	assert.deepEqual(received, [{ state: { on: false }, stale: true }]);
+});
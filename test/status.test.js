@@ -0,0 +1,137 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { CONNECTION_STATUS, DISCONNECT_REASON, SOCKET_ERROR } from '../src/index.js';
+import { MOCK_FAILURE } from '../src/testing.js';
+import { setup } from './helpers.js';
+
+const recordStatuses = client => {
+	const statuses = [];
+	client.on('status', (status, previous, reason) => statuses.push({ status, previous, reason }));
+
+	return statuses;
+};
+
+test('the status goes from connecting over authenticating to ready', async t => {
+	const { createClient } = await setup(t);
+
+	const client = createClient();
+	const statuses = recordStatuses(client);
+
+	assert.equal(client.status, CONNECTION_STATUS.CONNECTING);
+
+	await client.whenReady();
+
+	assert.deepEqual(statuses.map(({ status }) => status), [CONNECTION_STATUS.AUTHENTICATING, CONNECTION_STATUS.READY]);
+	assert.equal(statuses[1].previous, CONNECTION_STATUS.AUTHENTICATING);
+	assert.equal(client.ready, true);
+});
+
+test('without autoConnect the client stays idle until connect() is called', async t => {
+	const { server, createClient } = await setup(t);
+
+	const client = createClient({ autoConnect: false });
+
+	assert.equal(client.status, CONNECTION_STATUS.IDLE);
+	await assert.rejects(client.whenReady({ timeout: 100 }), { name: 'TimeoutError' });
+	assert.deepEqual(server.received, []);
+
+	client.connect();
+
+	assert.equal(client.status, CONNECTION_STATUS.CONNECTING);
+	await client.whenReady();
+});
+
+test('a rejected token fails the authentication and whenReady() with the auth error', async t => {
+	const { createClient } = await setup(t, { token: 'secret' });
+
+	const client = createClient();
+	const errors = [];
+	client.on('error', (type, error) => errors.push(error));
+
+	await assert.rejects(client.whenReady({ timeout: 1000 }), { name: 'AuthError', type: SOCKET_ERROR.AUTH_FAILED, code: 'INVALID_TOKEN' });
+
+	assert.equal(client.status, CONNECTION_STATUS.AUTH_FAILED);
+	assert.equal(errors.length, 1);
+
+	// Once failed, waiting fails right away with the same error
+	await assert.rejects(client.whenReady(), error => error === errors[0]);
+});
+
+test('an authentication timeout of the server fails whenReady() and closes the client', async t => {
+	const { server, createClient } = await setup(t);
+	server.fail('authenticate', MOCK_FAILURE.AUTH_TIMEOUT);
+
+	const client = createClient();
+	const statuses = recordStatuses(client);
+	const disconnected = new Promise(resolve => client.once('disconnect', resolve));
+
+	await assert.rejects(client.whenReady({ timeout: 1000 }), { name: 'AuthError', type: SOCKET_ERROR.AUTH_TIMEOUT });
+	await disconnected;
+
+	assert.deepEqual(statuses.map(({ status }) => status), [
+		CONNECTION_STATUS.AUTHENTICATING,
+		CONNECTION_STATUS.AUTH_FAILED,
+		CONNECTION_STATUS.CLOSED
+	]);
+	assert.equal(statuses[2].reason, DISCONNECT_REASON.SERVER_DISCONNECT);
+});
+
+test('whenReady() can time out and be aborted', async t => {
+	const { createClient } = await setup(t);
+
+	const client = createClient({ autoConnect: false });
+
+	await assert.rejects(client.whenReady({ timeout: 50 }), { name: 'TimeoutError' });
+
+	const controller = new AbortController();
+	const waiting = client.whenReady({ signal: controller.signal });
+	controller.abort();
+
+	await assert.rejects(waiting, { type: SOCKET_ERROR.ACTION_ABORTED });
+
+	const aborted = new AbortController();
+	aborted.abort();
+
+	await assert.rejects(client.whenReady({ signal: aborted.signal }), { type: SOCKET_ERROR.ACTION_ABORTED });
+});
+
+test('closing the client rejects whenReady()', async t => {
+	const { createClient } = await setup(t);
+
+	const client = createClient({ autoConnect: false });
+	const waiting = client.whenReady();
+
+	await client.close();
+
+	await assert.rejects(waiting, { name: 'MissionControlError', message: /closed \(close\)/ });
+	await assert.rejects(client.whenReady(), { message: 'The connection is closed.' });
+	assert.equal(client.status, CONNECTION_STATUS.CLOSED);
+});
+
+test('a disconnect by the server closes the client, a lost connection reconnects', async t => {
+	const { server, createClient } = await setup(t);
+
+	const client = createClient({ connection: { reconnectionDelay: 10, reconnectionDelayMax: 10 } });
+	await client.whenReady();
+
+	const statuses = recordStatuses(client);
+
+	let disconnected = new Promise(resolve => client.once('disconnect', resolve));
+	server.disconnectAll();
+	await disconnected;
+	await client.whenReady();
+
+	disconnected = new Promise(resolve => client.once('disconnect', resolve));
+	server.disconnectAll({ reconnect: false });
+	await disconnected;
+
+	assert.deepEqual(statuses.map(({ status }) => status), [
+		CONNECTION_STATUS.RECONNECTING,
+		CONNECTION_STATUS.AUTHENTICATING,
+		CONNECTION_STATUS.READY,
+		CONNECTION_STATUS.CLOSED
+	]);
+	assert.equal(statuses[3].reason, DISCONNECT_REASON.SERVER_DISCONNECT);
+	await assert.rejects(client.whenReady(), { message: 'The connection is closed.' });
+});
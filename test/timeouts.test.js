@@ -0,0 +1,64 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { SOCKET_ERROR } from '../src/index.js';
+import { MOCK_FAILURE } from '../src/testing.js';
+import { setup } from './helpers.js';
+
+test('actions reject with a TimeoutError if the server does not answer', async t => {
+	const { server, createClient } = await setup(t);
+	server.service('lights', { actions: { TOGGLE: state => state } });
+
+	const client = createClient({ timeout: 100 });
+	await client.whenReady();
+
+	server.fail('action', MOCK_FAILURE.DROP);
+
+	await assert.rejects(client.action('lights', 'TOGGLE'), { name: 'TimeoutError', service: 'lights', action: 'TOGGLE' });
+});
+
+test('the per-call timeout wins over the client timeout', async t => {
+	const { server, createClient } = await setup(t);
+	server.service('lights', { actions: { TOGGLE: state => state } });
+
+	const client = createClient({ timeout: 5000 });
+	await client.whenReady();
+
+	server.fail('action', MOCK_FAILURE.DROP);
+
+	const start = Date.now();
+
+	await assert.rejects(client.action('lights', 'TOGGLE', {}, { timeout: 50 }), { name: 'TimeoutError' });
+	assert.ok(Date.now() - start < 1000);
+});
+
+test('aborting an action rejects it right away', async t => {
+	const { server, createClient } = await setup(t);
+	server.service('lights', { actions: { TOGGLE: state => state } });
+
+	const client = createClient();
+	await client.whenReady();
+
+	server.fail('action', MOCK_FAILURE.DROP);
+
+	const controller = new AbortController();
+	const action = client.action('lights', 'TOGGLE', {}, { signal: controller.signal });
+
+	controller.abort();
+
+	await assert.rejects(action, { type: SOCKET_ERROR.ACTION_ABORTED });
+});
+
+test('aborting a queued action removes it from the queue', async t => {
+	const { server, createClient } = await setup(t);
+	server.service('lights', { actions: { TOGGLE: state => state } });
+
+	const client = createClient({ autoConnect: false });
+	const controller = new AbortController();
+	const action = client.action('lights', 'TOGGLE', {}, { signal: controller.signal });
+
+	controller.abort();
+
+	await assert.rejects(action, { type: SOCKET_ERROR.ACTION_ABORTED });
+	assert.equal(client.queue.size, 0);
+});
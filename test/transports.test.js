@@ -0,0 +1,193 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import WebSocket from 'ws';
+
+import { MissionControlClient, CONNECTION_STATUS, DISCONNECT_REASON, TransportError, SocketIOTransport, WebSocketTransport, MemoryTransport } from '../src/index.js';
+import { quietLogger, setup, sleep, waitFor } from './helpers.js';
+
+/**
+ * A JSON-RPC server for the WebSocketTransport, answering every request with the handler of its method.
+ */
+async function createRpcServer(t, handlers) {
+	const server = new WebSocket.Server({ port: 0 });
+	await new Promise(resolve => server.once('listening', resolve));
+
+	server.on('connection', socket => {
+		socket.on('message', async raw => {
+			const { id, method, params } = JSON.parse(raw);
+
+			if (!handlers[method]) return;
+
+			const result = await handlers[method](params, socket);
+
+			if (id !== undefined && socket.readyState === WebSocket.OPEN) {
+				socket.send(JSON.stringify({ jsonrpc: '2.0', id, result }));
+			}
+		});
+	});
+
+	t.after(() => new Promise(resolve => server.close(resolve)));
+
+	return { server, url: `ws://localhost:${server.address().port}` };
+}
+
+function createClient(t, transport, options) {
+	const client = new MissionControlClient('transport://', 'token', { transport, logger: quietLogger, ...options });
+	client.on('error', () => {});
+
+	t.after(() => client.destroy());
+
+	return client;
+}
+
+const emit = (transport, event, data) => new Promise(resolve => transport.emit(event, data, resolve));
+
+test('socket.io: emits without a connection fail right away instead of being buffered', async t => {
+	const { server } = await setup(t);
+	const transport = new SocketIOTransport(server.url);
+
+	const response = await emit(transport, 'authenticate', { token: 'token' });
+
+	assert.ok(response instanceof TransportError);
+	assert.match(response.message, /Can't send 'authenticate' while disconnected/);
+
+	transport.connect();
+	t.after(() => transport.close());
+	await waitFor(() => transport.connected);
+	await sleep(50);
+
+	assert.deepEqual(server.received, []);
+});
+
+test('socket.io: emits waiting for an answer fail when the connection is lost', async t => {
+	const { server, createClient } = await setup(t);
+	server.service('lights', { actions: { SLOW: () => new Promise(() => {}) } });
+
+	const client = createClient({ queue: false });
+	await client.whenReady();
+
+	const action = client.action('lights', 'SLOW');
+	await waitFor(() => server.received.some(({ event }) => event === 'action'));
+
+	server.disconnectAll();
+
+	await assert.rejects(action, { name: 'TransportError', service: 'lights', action: 'SLOW', message: /lost before the server answered/ });
+});
+
+test('socket.io: actions executed while reconnecting are only sent after authenticating again', async t => {
+	const { server, createClient } = await setup(t);
+	server.service('lights', { state: { on: false }, actions: { TOGGLE: state => ({ on: !state.on }) } });
+
+	const client = createClient({ connection: { reconnectionDelay: 50, reconnectionDelayMax: 50 } });
+	await client.whenReady();
+
+	const disconnected = new Promise(resolve => client.once('disconnect', resolve));
+	server.disconnectAll();
+	await disconnected;
+
+	assert.deepEqual(await client.action('lights', 'TOGGLE'), { ok: true });
+	assert.deepEqual(server.received.map(({ event }) => event), ['authenticate', 'authenticate', 'action']);
+	assert.deepEqual(server.getState('lights'), { on: true });
+});
+
+test('websocket: requests are answered by id and notifications become events', async t => {
+	const { url } = await createRpcServer(t, {
+		authenticate: () => ({ ok: true }),
+		subscribe: ({ service }, socket) => {
+			socket.send(JSON.stringify({ jsonrpc: '2.0', method: 'sync', params: { service, state: { on: true } } }));
+
+			return { ok: true };
+		},
+		action: ({ action }) => ({ ok: action === 'TOGGLE' })
+	});
+
+	const client = createClient(t, new WebSocketTransport(url, { WebSocket }));
+	const lights = client.service('lights', () => {});
+
+	await waitFor(() => lights.state !== null);
+
+	assert.deepEqual(lights.state, { on: true });
+	assert.deepEqual(await client.action('lights', 'TOGGLE'), { ok: true });
+});
+
+test('websocket: emits fail without a connection and when the connection is closed', async t => {
+	const { url } = await createRpcServer(t, { slow: () => new Promise(() => {}) });
+	const transport = new WebSocketTransport(url, { WebSocket });
+
+	assert.ok(await emit(transport, 'slow') instanceof TransportError);
+
+	transport.connect();
+	await waitFor(() => transport.connected);
+
+	const pending = emit(transport, 'slow');
+	transport.close();
+
+	const response = await pending;
+
+	assert.ok(response instanceof TransportError);
+	assert.match(response.message, /closed before the server answered/);
+});
+
+test('websocket: the client is closed if the first connect fails without reconnection', async t => {
+	const { url, server } = await createRpcServer(t, {});
+	await new Promise(resolve => server.close(resolve));
+
+	const client = createClient(t, new WebSocketTransport(url, { WebSocket, reconnection: false }));
+	const errors = [];
+	client.on('error', (type, error) => errors.push(error));
+
+	await assert.rejects(client.whenReady({ timeout: 1000 }), /The connection was closed/);
+
+	assert.equal(client.status, CONNECTION_STATUS.CLOSED);
+	assert.equal(errors.length, 1);
+	assert.ok(errors[0] instanceof TransportError);
+});
+
+test('websocket: reconnects with a backoff after losing the connection', async t => {
+	const { url, server } = await createRpcServer(t, { authenticate: () => ({ ok: true }) });
+
+	const client = createClient(t, new WebSocketTransport(url, { WebSocket, reconnectionDelay: 10, reconnectionDelayMax: 10 }));
+	await client.whenReady();
+
+	const disconnects = [];
+	const statuses = [];
+	client.on('disconnect', reason => disconnects.push(reason));
+	client.on('status', status => statuses.push(status));
+
+	for (const socket of server.clients) socket.terminate();
+
+	await waitFor(() => statuses.includes(CONNECTION_STATUS.READY));
+
+	assert.deepEqual(disconnects, [DISCONNECT_REASON.UNKNOWN]);
+	assert.deepEqual(statuses, [CONNECTION_STATUS.RECONNECTING, CONNECTION_STATUS.AUTHENTICATING, CONNECTION_STATUS.READY]);
+});
+
+test('memory: a dropped connection is reconnected and services are subscribed again', async t => {
+	const subscribes = [];
+	const transport = new MemoryTransport({
+		authenticate: () => ({ ok: true }),
+		subscribe: ({ service }, transport) => {
+			subscribes.push(service);
+			transport.send('sync', { service, state: { count: subscribes.length } });
+
+			return { ok: true };
+		}
+	});
+
+	const client = createClient(t, transport);
+	const counter = client.service('counter', () => {});
+
+	await waitFor(() => counter.state !== null);
+
+	transport.drop();
+
+	await waitFor(() => counter.state.count === 2);
+	assert.deepEqual(subscribes, ['counter', 'counter']);
+	assert.equal(client.status, CONNECTION_STATUS.READY);
+});
+
+test('memory: emits without a handler are answered with an error', async t => {
+	const client = createClient(t, new MemoryTransport({ authenticate: () => ({ ok: true }) }));
+
+	await assert.rejects(client.action('lights', 'TOGGLE'), { name: 'ActionError', message: /No handler for 'action'/ });
+});
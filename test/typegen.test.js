@@ -0,0 +1,94 @@
+import assert from 'node:assert/strict';
+import { PassThrough } from 'node:stream';
+import { test } from 'node:test';
+
+import { run } from '../src/cli/index.js';
+import { generateServiceTypes, schemaToType } from '../src/typegen.js';
+import { setup } from './helpers.js';
+
+test('schemas are translated to the closest TypeScript type', () => {
+	assert.equal(schemaToType(undefined), 'unknown');
+	assert.equal(schemaToType(false), 'never');
+	assert.equal(schemaToType({ type: 'integer', minimum: 0 }), 'number');
+	assert.equal(schemaToType({ enum: ['on', 'off'] }), '"on" | "off"');
+	assert.equal(schemaToType({ const: 3 }), '3');
+	assert.equal(schemaToType({ type: ['string', 'null'] }), 'string | null');
+	assert.equal(schemaToType({ type: 'array', items: { type: 'boolean' } }), 'Array<boolean>');
+	assert.equal(schemaToType({ anyOf: [{ type: 'string' }, { type: 'array' }] }), 'string | unknown[]');
+	assert.equal(schemaToType({ type: 'object', additionalProperties: { type: 'number' } }), 'Record<string, number>');
+
+	assert.equal(schemaToType({
+		properties: {
+			level: { type: 'number', description: 'From 0 to 100' },
+			'room-name': { type: 'string' }
+		},
+		required: ['level']
+	}), '{\n\t/** From 0 to 100 */\n\tlevel: number;\n\t"room-name"?: string;\n}');
+
+	assert.equal(
+		schemaToType({ type: 'object', properties: { on: { type: 'boolean' } }, additionalProperties: true }),
+		'{\n\ton?: boolean;\n\t[key: string]: unknown;\n}'
+	);
+});
+
+test('the service map lists the state and actions of every service', () => {
+	const source = generateServiceTypes([
+		{
+			service: 'lights',
+			stateSchema: { type: 'object', properties: { on: { type: 'boolean' } }, required: ['on'] },
+			actions: {
+				TOGGLE: {},
+				DIM: { description: 'Dims the lights', schema: { type: 'object', properties: { level: { type: 'number' } }, required: ['level'] } }
+			}
+		},
+		{ service: 'garage-door', actions: {} }
+	], { name: 'House' });
+
+	assert.equal(source, [
+		'// Generated by `mission-control types`. Do not edit, generate it again when the services change.',
+		'',
+		"import type { MissionControlClient } from 'mission-control-client';",
+		'',
+		'export interface House {',
+		'\tlights: {',
+		'\t\tstate: {\n\t\t\ton: boolean;\n\t\t};',
+		'\t\tactions: {',
+		'\t\t\tTOGGLE: unknown;',
+		'\t\t\t/** Dims the lights */',
+		'\t\t\tDIM: {\n\t\t\t\tlevel: number;\n\t\t\t};',
+		'\t\t};',
+		'\t};',
+		'\t"garage-door": {',
+		'\t\tstate: unknown;',
+		'\t\tactions: {};',
+		'\t};',
+		'}',
+		'',
+		'export type HouseClient = MissionControlClient<House>;',
+		''
+	].join('\n'));
+});
+
+test('mission-control types prints the service map of the server', async t => {
+	const { server } = await setup(t);
+	server.service('lights', {
+		actions: { DIM: state => state },
+		schemas: { DIM: { type: 'object', properties: { level: { type: 'number' } } } }
+	});
+
+	const stdout = new PassThrough();
+	let output = '';
+	stdout.on('data', chunk => {
+		output += chunk;
+	});
+
+	const code = await run(['types', 'lights', '--url', server.url, '--token', 'token'], {
+		env: {},
+		stdin: new PassThrough(),
+		stdout,
+		stderr: new PassThrough()
+	});
+
+	assert.equal(code, 0);
+	assert.match(output, /export interface Services \{\n\tlights: \{\n\t\tstate: unknown;\n\t\tactions: \{\n\t\t\tDIM: \{\n\t\t\t\tlevel\?: number;/);
+});
@@ -0,0 +1,117 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { ValidationError } from '../src/index.js';
+import { validate } from '../src/jsonSchema.js';
+import { MOCK_FAILURE } from '../src/testing.js';
+import { quietLogger, setup, sentActions } from './helpers.js';
+
+const brightness = {
+	type: 'object',
+	properties: {
+		brightness: { type: 'integer', minimum: 0, maximum: 100 },
+		room: { type: 'string', pattern: '^[a-z]+$' }
+	},
+	required: ['brightness'],
+	additionalProperties: false
+};
+
+test('schemas: problems are reported with the path of the field', () => {
+	assert.deepEqual(validate(brightness, { brightness: 50, room: 'kitchen' }), []);
+	assert.deepEqual(validate(brightness, { brightness: 120, room: 'Kitchen', colour: 'red' }), [
+		{ field: 'brightness', message: 'must be <= 100' },
+		{ field: 'room', message: 'must match ^[a-z]+$' },
+		{ field: 'colour', message: 'is not a known property' }
+	]);
+	assert.deepEqual(validate(brightness, {}), [{ field: 'brightness', message: 'is required' }]);
+	assert.deepEqual(validate({ type: 'array', items: brightness }, [{ brightness: 1.5 }]), [
+		{ field: '[0].brightness', message: 'must be of type integer, got number' }
+	]);
+});
+
+test('schemas: anyOf, oneOf, enum and const', () => {
+	const schema = { anyOf: [{ type: 'string' }, { type: 'integer', enum: [1, 2] }] };
+
+	assert.deepEqual(validate(schema, 'on'), []);
+	assert.deepEqual(validate(schema, 2), []);
+	assert.deepEqual(validate(schema, 3), [{ field: '', message: 'must match at least one of the allowed schemas' }]);
+	assert.deepEqual(validate({ oneOf: [{ type: 'number' }, { type: 'integer' }] }, 1), [{ field: '', message: 'must match exactly one of the allowed schemas' }]);
+	assert.deepEqual(validate({ const: { on: true } }, { on: true }), []);
+});
+
+test('schemas: patterns JavaScript can\'t compile are skipped', () => {
+	const invalid = [];
+	const schema = { type: 'object', properties: { name: { type: 'string', pattern: '^\\_+$' } } };
+
+	assert.deepEqual(validate(schema, { name: 'anything' }, { onInvalidPattern: pattern => invalid.push(pattern) }), []);
+	assert.deepEqual(invalid, ['^\\_+$']);
+	assert.deepEqual(validate({ anyOf: [schema] }, { name: 'x' }), []);
+});
+
+async function lights(t, options) {
+	const { server, createClient } = await setup(t);
+
+	server.service('lights', {
+		state: { brightness: 0 },
+		actions: {
+			SET_BRIGHTNESS: (state, { brightness }) => ({ brightness }),
+			RENAME: state => state
+		},
+		schemas: {
+			SET_BRIGHTNESS: brightness,
+			RENAME: { type: 'object', properties: { name: { type: 'string', pattern: '\\_' } } }
+		}
+	});
+
+	const client = createClient({ validate: true, ...options });
+
+	return { server, client };
+}
+
+test('invalid actions are rejected without being sent', async t => {
+	const { server, client } = await lights(t);
+	await client.whenReady();
+
+	const error = await client.action('lights', 'SET_BRIGHTNESS', { brightness: 120 }).catch(e => e);
+
+	assert.ok(error instanceof ValidationError);
+	assert.equal(error.field, 'brightness');
+	assert.equal(error.message, "Invalid data for action 'SET_BRIGHTNESS' of service 'lights': brightness must be <= 100.");
+
+	await assert.rejects(client.action('lights', 'SET_BRIGHTNES', { brightness: 20 }), {
+		name: 'ValidationError',
+		message: "Unknown action 'SET_BRIGHTNES' for service 'lights'. Known actions: SET_BRIGHTNESS, RENAME."
+	});
+
+	assert.deepEqual(await client.action('lights', 'SET_BRIGHTNESS', { brightness: 20 }), { ok: true });
+	assert.deepEqual(sentActions(server).map(({ action }) => action), ['SET_BRIGHTNESS']);
+	assert.equal(server.received.filter(({ event }) => event === 'describe').length, 1);
+});
+
+test('actions are sent unchecked if a pattern of their schema is invalid here, with a single warning', async t => {
+	const warnings = [];
+	const { server, client } = await lights(t, { logger: { ...quietLogger, warn: (...args) => warnings.push(args.join(' ')) } });
+
+	assert.deepEqual(await client.action('lights', 'RENAME', { name: 'kitchen' }), { ok: true });
+	assert.deepEqual(await client.action('lights', 'RENAME', { name: 'hall' }), { ok: true });
+
+	assert.equal(sentActions(server).length, 2);
+	assert.equal(warnings.filter(warning => warning.includes('\\_')).length, 1);
+});
+
+test('actions are sent unchecked if the catalogue is not available', async t => {
+	const { server, client } = await lights(t);
+	await client.whenReady();
+
+	server.fail('describe', MOCK_FAILURE.REJECT);
+
+	// The mock server doesn't validate either
+	assert.deepEqual(await client.action('lights', 'SET_BRIGHTNESS', { brightness: 120 }), { ok: true });
+	assert.deepEqual(server.getState('lights'), { brightness: 120 });
+
+	// The server refused to describe the service, so it isn't asked again
+	await assert.rejects(client.describe('lights'), { name: 'ActionError' });
+	assert.equal(server.received.filter(({ event }) => event === 'describe').length, 1);
+
+	assert.deepEqual((await client.describe('lights', { refresh: true })).actions.SET_BRIGHTNESS, { schema: brightness });
+});